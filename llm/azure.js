@@ -0,0 +1,11 @@
+const { AzureOpenAIClient } = require('../config/azure');
+
+module.exports = {
+  name: 'azure',
+  requiredEnvVars: [
+    'AZURE_OPENAI_ENDPOINT',
+    'AZURE_OPENAI_API_KEY',
+    'AZURE_OPENAI_DEPLOYMENT_NAME'
+  ],
+  createClient: () => new AzureOpenAIClient()
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMBEDDING_DIMENSIONS = 256;
+
+// Deterministic offline provider. Returns a canned module for every
+// completion so the generate/regenerate flow can run without a model.
+//
+// If LLM_FIXTURE_DIR is set, the response is read from <ModuleName>.js in
+// that directory (falling back to default.js); otherwise a minimal module is
+// rendered from the module name and field bindings found in the prompt.
+class FixtureClient {
+  constructor() {
+    this.fixtureDir = process.env.LLM_FIXTURE_DIR;
+    this.calls = [];
+  }
+
+  async generateCompletion(messages, maxTokens = 5000) {
+    this.calls.push({ messages, maxTokens });
+
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const prompt = messages.filter(m => m.role === 'user').map(m => messageText(m.content)).join('\n');
+    const moduleName = extractModuleName(prompt);
+    const images = messages.flatMap(m => Array.isArray(m.content) ? m.content.filter(part => part.type === 'image_url') : []);
+
+    // Requests for structured JSON (e.g. test cases) get an empty list and
+    // image requests get a description derived from the image bytes
+    let content;
+    if (images.length > 0) {
+      content = describeFixtureImages(images);
+    } else if (/JSON array/.test(system)) {
+      content = '[]';
+    } else {
+      content = this.readFixture(moduleName) || renderCannedModule(moduleName, extractFields(prompt));
+    }
+
+    return {
+      id: `fixture-${this.calls.length}`,
+      object: 'chat.completion',
+      model: 'fixture',
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: 'stop'
+        }
+      ]
+    };
+  }
+
+  // Streams the canned completion line by line, yielding between lines so
+  // progress and cancellation behave as they would with a real model
+  async streamCompletion(messages, maxTokens = 5000, temperature, { onToken, signal } = {}) {
+    const response = await this.generateCompletion(messages, maxTokens);
+    const lines = response.choices[0].message.content.split(/(?<=\n)/);
+
+    for (const line of lines) {
+      if (signal && signal.aborted) {
+        const error = new Error('Generation cancelled');
+        error.name = 'AbortError';
+        throw error;
+      }
+      if (onToken) onToken(line);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return response;
+  }
+
+  // Hashed bag-of-words vector: similar texts share tokens and so score
+  // higher under cosine similarity, which is enough for offline retrieval.
+  async generateEmbedding(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const tokens = String(text).toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+    for (const token of tokens) {
+      const hash = crypto.createHash('md5').update(token).digest();
+      vector[hash.readUInt16BE(0) % EMBEDDING_DIMENSIONS] += hash[2] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  readFixture(moduleName) {
+    if (!this.fixtureDir) return null;
+
+    for (const fileName of [`${moduleName}.js`, 'default.js']) {
+      const filePath = path.join(this.fixtureDir, fileName);
+      if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf-8');
+      }
+    }
+    return null;
+  }
+}
+
+// Text of a message whose content may be a list of multimodal parts
+function messageText(content) {
+  if (!Array.isArray(content)) return content;
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+function describeFixtureImages(images) {
+  return images.map((part, index) => {
+    const [header, data = ''] = part.image_url.url.split(',');
+    const digest = crypto.createHash('md5').update(data).digest('hex').slice(0, 8);
+    return `Fixture image ${index + 1} (${header.replace('data:', '')}, ${Buffer.from(data, 'base64').length} bytes, ${digest})`;
+  }).join('\n');
+}
+
+function extractModuleName(prompt) {
+  const match = prompt.match(/module name should be "o9\.([A-Za-z0-9_]+)"/);
+  return match ? match[1] : 'FixtureModule';
+}
+
+function extractFields(prompt) {
+  const match = prompt.match(/FIELD BINDINGS:\s*\n(\[[\s\S]*?\n\])/);
+  if (!match) return [];
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return [];
+  }
+}
+
+function renderCannedModule(moduleName, fields) {
+  const dimensions = fields.filter(f => f.classification === 'dimension');
+  const measures = fields.filter(f => f.classification === 'measure');
+
+  const logging = fields
+    .map(f => `        console.log('${f.name}: ' + parsedParams['${f.name}']);`)
+    .join('\n');
+
+  const validation = fields
+    .filter(f => f.required)
+    .map(f => `        if (!parsedParams['${f.name}'] || parsedParams['${f.name}'].length === 0) {
+            RuleOutputToUI = { Status: 'Error', Message: '${f.name} is required' };
+            return RuleOutputToUI;
+        }`)
+    .join('\n');
+
+  const scope = dimensions
+    .map(f => `'${f.attributePath || `[${f.name}].[${f.name}]`}.filter(#.Name in {"' + ConcatenateMultiselect(parsedParams['${f.name}']) + '"})'`)
+    .join(' + \' * \' + ') || "''";
+
+  const assignments = measures
+    .map(f => `'Measure.[${f.measure || f.name}] = ' + JSON.stringify(parsedParams['${f.name}']) + '; '`)
+    .join(' + ') || "''";
+
+  return `define('o9.${moduleName}',['o9/data/query', 'o9/data/cellset'],function(){
+    var ActionButtonCall = function(o9Params) {
+        var parsedParams = JSON.parse(o9Params);
+        var RuleOutputToUI = { Status: 'Success', Message: '' };
+
+${logging}
+
+${validation}
+
+        var Query = require('o9/data/query');
+        var UpdateQuery = 'cartesian scope: (' + ${scope} + '); ' + ${assignments} + 'end scope;';
+        Query.exec(UpdateQuery);
+
+        RuleOutputToUI.Message = 'Update completed';
+        return RuleOutputToUI;
+    };
+
+    var ConcatenateMultiselect = function(value){
+        if (Array.isArray(value)) {
+            return value.join('","');
+        }
+        return value;
+    };
+
+    return {
+        ActionButtonCall:ActionButtonCall
+    };
+});
+`;
+}
+
+module.exports = {
+  name: 'fixture',
+  requiredEnvVars: [],
+  createClient: () => new FixtureClient(),
+  FixtureClient
+};
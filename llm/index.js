@@ -0,0 +1,29 @@
+// LLM provider selection.
+//
+// LLM_PROVIDER=azure (default) calls the Azure OpenAI deployment,
+// LLM_PROVIDER=openai calls any OpenAI-compatible chat API (OPENAI_BASE_URL),
+// LLM_PROVIDER=fixture returns deterministic canned modules for offline use.
+//
+// Every client exposes the same surface:
+//   generateCompletion(messages, maxTokens, temperature) -> chat completion response
+//   streamCompletion(messages, maxTokens, temperature, { onToken, signal }) -> same, streamed
+//   generateEmbedding(text) -> number[]
+const providers = {
+  azure: () => require('./azure'),
+  openai: () => require('./openai'),
+  fixture: () => require('./fixture')
+};
+
+const providerName = (process.env.LLM_PROVIDER || 'azure').toLowerCase();
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown LLM_PROVIDER '${providerName}'. Expected one of: ${Object.keys(providers).join(', ')}`);
+}
+
+const provider = providers[providerName]();
+
+module.exports = {
+  providerName: provider.name,
+  requiredEnvVars: provider.requiredEnvVars,
+  llmClient: provider.createClient()
+};
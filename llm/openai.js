@@ -0,0 +1,90 @@
+const axios = require('axios');
+const { readChatCompletionStream } = require('./stream');
+
+// Client for any OpenAI-compatible chat completions API
+// (api.openai.com, llama.cpp server, Ollama, vLLM, LM Studio...)
+class OpenAICompatibleClient {
+  constructor() {
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.model = process.env.OPENAI_MODEL;
+    this.embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || this.model;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generateCompletion(messages, maxTokens = 5000, temperature) {
+    const data = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens
+    };
+
+    if (temperature !== undefined) {
+      data.temperature = temperature;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, data, { headers: this.getHeaders() });
+      return response.data;
+    } catch (error) {
+      console.error('OpenAI-compatible API error:', error.response?.data || error.message);
+      throw new Error(`AI generation failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  // Same request with stream: true; content deltas are passed to onToken
+  async streamCompletion(messages, maxTokens = 5000, temperature, { onToken, signal } = {}) {
+    const data = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      stream: true
+    };
+
+    if (temperature !== undefined) {
+      data.temperature = temperature;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, data, {
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        signal
+      });
+      return await readChatCompletionStream(response.data, onToken);
+    } catch (error) {
+      if (axios.isCancel(error) || error.name === 'AbortError') throw error;
+      console.error('OpenAI-compatible streaming error:', error.message);
+      throw new Error(`AI generation failed: ${error.message}`);
+    }
+  }
+
+  async generateEmbedding(text) {
+    const data = {
+      model: this.embeddingModel,
+      input: text
+    };
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/embeddings`, data, { headers: this.getHeaders() });
+      return response.data.data[0].embedding;
+    } catch (error) {
+      console.error('OpenAI-compatible embedding error:', error.response?.data || error.message);
+      throw new Error(`Embedding generation failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  name: 'openai',
+  requiredEnvVars: ['OPENAI_MODEL'],
+  createClient: () => new OpenAICompatibleClient(),
+  OpenAICompatibleClient
+};
@@ -0,0 +1,71 @@
+const { StringDecoder } = require('string_decoder');
+
+// Reader for OpenAI-style streamed chat completions (stream: true).
+//
+// The response body is a text/event-stream of "data: {chunk}" lines ending
+// with "data: [DONE]". Content deltas are passed to onToken as they arrive
+// and the whole stream is collected into a regular chat completion response,
+// so callers can treat streamed and blocking completions the same way.
+async function readChatCompletionStream(stream, onToken) {
+  // Chunks can end inside a multibyte character; the decoder holds the
+  // partial bytes until the rest arrives
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let content = '';
+  let finishReason = null;
+  let id;
+  let model;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+
+    const chunk = JSON.parse(data);
+    id = id || chunk.id;
+    model = model || chunk.model;
+
+    // Azure sends content filter results first, with no choices
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return;
+
+    const delta = choice.delta && choice.delta.content;
+    if (delta) {
+      content += delta;
+      if (onToken) onToken(delta);
+    }
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  };
+
+  for await (const data of stream) {
+    buffer += typeof data === 'string' ? data : decoder.write(data);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      handleLine(buffer.slice(0, newline).trim());
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  buffer += decoder.end();
+  handleLine(buffer.trim());
+
+  return {
+    id,
+    object: 'chat.completion',
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: finishReason
+      }
+    ]
+  };
+}
+
+module.exports = {
+  readChatCompletionStream
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createLocalJWKSet, jwtVerify } = require('jose');
+
+// API authentication and role checks.
+//
+// Callers authenticate with an API key (X-API-Key header, or
+// "Authorization: ApiKey <key>") listed in AUTH_API_KEYS_FILE, or with an
+// OIDC bearer token verified offline against the public keys in
+// AUTH_JWKS_FILE. Either way the request gets req.user = { id, name, role,
+// method, workspaces }, where workspaces lists the workspaces the caller may
+// use (null for all of them).
+//
+// Roles are ordered viewer < author < admin and each route asks for the
+// lowest role it needs with requireRole. Authentication is on unless
+// AUTH_ENABLED is 'false', in which case every request runs as a local admin
+// (for development setups); with it on, the server refuses to start until a
+// keys or JWKS file is configured.
+
+const ROLES = ['viewer', 'author', 'admin'];
+
+const LOCAL_USER = { id: 'local', name: 'local', role: 'admin', method: 'none', workspaces: null };
+
+let settings;
+
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${label} ${filePath}: ${error.message}`);
+  }
+}
+
+// Keys file: [{ name, role, key }] or, to keep plain keys off disk,
+// [{ name, role, keySha256 }]. An optional workspaces array limits a key to
+// those workspaces.
+function loadApiKeys(filePath) {
+  const entries = readJsonFile(filePath, 'AUTH_API_KEYS_FILE');
+  if (!Array.isArray(entries)) {
+    throw new Error('AUTH_API_KEYS_FILE must contain an array of { name, role, key | keySha256 }');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.name || !ROLES.includes(entry.role) || !(entry.key || entry.keySha256)) {
+      throw new Error(`AUTH_API_KEYS_FILE entry ${index + 1} needs a name, a role (${ROLES.join(', ')}) and key or keySha256`);
+    }
+    if (entry.workspaces !== undefined && !Array.isArray(entry.workspaces)) {
+      throw new Error(`AUTH_API_KEYS_FILE entry ${index + 1}: workspaces must be an array of workspace ids`);
+    }
+    return {
+      name: entry.name,
+      role: entry.role,
+      workspaces: entry.workspaces || null,
+      hash: Buffer.from(entry.keySha256 ? entry.keySha256.toLowerCase() : sha256(entry.key), 'hex')
+    };
+  });
+}
+
+// Configuration is read on first use, after dotenv has run
+function getSettings() {
+  if (settings) return settings;
+
+  const apiKeysFile = process.env.AUTH_API_KEYS_FILE;
+  const jwksFile = process.env.AUTH_JWKS_FILE;
+
+  settings = {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    apiKeys: apiKeysFile ? loadApiKeys(apiKeysFile) : [],
+    jwks: jwksFile ? createLocalJWKSet(readJsonFile(jwksFile, 'AUTH_JWKS_FILE')) : null,
+    jwtOptions: {
+      issuer: process.env.AUTH_JWT_ISSUER || undefined,
+      audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+      clockTolerance: 60
+    },
+    rolesClaim: process.env.AUTH_JWT_ROLES_CLAIM || 'roles',
+    workspacesClaim: process.env.AUTH_JWT_WORKSPACES_CLAIM || 'workspaces',
+    defaultRole: process.env.AUTH_JWT_DEFAULT_ROLE || 'viewer'
+  };
+
+  if (!ROLES.includes(settings.defaultRole)) {
+    throw new Error(`AUTH_JWT_DEFAULT_ROLE must be one of: ${ROLES.join(', ')}`);
+  }
+  if (settings.enabled && !apiKeysFile && !jwksFile) {
+    throw new Error('Authentication is on but neither AUTH_API_KEYS_FILE nor AUTH_JWKS_FILE is set; configure one, or set AUTH_ENABLED=false to run without authentication');
+  }
+  if (!settings.enabled) {
+    console.warn('⚠️ Authentication is off (AUTH_ENABLED=false): every API request runs as a local admin.');
+  }
+  return settings;
+}
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function identifyApiKey(key, { apiKeys }) {
+  const hash = Buffer.from(sha256(key), 'hex');
+  const match = apiKeys.find(entry => entry.hash.length === hash.length && crypto.timingSafeEqual(entry.hash, hash));
+  if (!match) {
+    throw authError('Invalid API key');
+  }
+  return { id: `api-key:${match.name}`, name: match.name, role: match.role, method: 'api-key', workspaces: match.workspaces };
+}
+
+// Highest known role among the token's role claim values (an array or a
+// space-separated string), compared case-insensitively
+function tokenRole(claims, { rolesClaim, defaultRole }) {
+  const value = claims[rolesClaim];
+  const values = Array.isArray(value) ? value : String(value || '').split(/\s+/);
+  const ranks = values
+    .map(role => roleRank(String(role).toLowerCase()))
+    .filter(rank => rank >= 0);
+
+  return ranks.length > 0 ? ROLES[Math.max(...ranks)] : defaultRole;
+}
+
+// Workspaces named by the token's workspaces claim (an array or a
+// space-separated string); a token without the claim may use every workspace
+function tokenWorkspaces(claims, { workspacesClaim }) {
+  const value = claims[workspacesClaim];
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : String(value).split(/\s+/)).map(String).filter(Boolean);
+}
+
+async function identifyToken(token, config) {
+  if (!config.jwks) {
+    throw authError('Bearer tokens are not accepted; AUTH_JWKS_FILE is not configured');
+  }
+
+  let claims;
+  try {
+    ({ payload: claims } = await jwtVerify(token, config.jwks, config.jwtOptions));
+  } catch (error) {
+    throw authError(`Invalid token: ${error.message}`);
+  }
+
+  // Records are attributed to the token's subject, so it must have one
+  const id = claims.sub || claims.oid;
+  if (!id || typeof id !== 'string') {
+    throw authError('Invalid token: no sub or oid claim');
+  }
+
+  return {
+    id,
+    name: claims.name || claims.preferred_username || claims.email || id,
+    role: tokenRole(claims, config),
+    method: 'jwt',
+    workspaces: tokenWorkspaces(claims, config)
+  };
+}
+
+async function identify(req) {
+  const config = getSettings();
+  if (!config.enabled) return LOCAL_USER;
+
+  const [scheme, credentials] = (req.get('authorization') || '').split(/\s+/, 2);
+  const apiKey = req.get('x-api-key') || (/^apikey$/i.test(scheme) ? credentials : null);
+
+  if (apiKey) return identifyApiKey(apiKey, config);
+  if (/^bearer$/i.test(scheme) && credentials) return identifyToken(credentials, config);
+
+  throw authError('Authentication required: send an X-API-Key header or a bearer token');
+}
+
+// Resolve the caller and set req.user; answers 401 when credentials are
+// missing or invalid
+async function authenticate(req, res, next) {
+  try {
+    req.user = await identify(req);
+    next();
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer, ApiKey');
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Route middleware allowing callers with at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || roleRank(req.user.role) < roleRank(role)) {
+      return res.status(403).json({ error: `This operation requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Identity stored on created records
+function recordedBy(user) {
+  return user ? { id: user.id, name: user.name, method: user.method } : null;
+}
+
+// Name recorded as the author of an edit. Without authentication the client
+// may still name itself, as before.
+function authorName(req, claimed) {
+  if (req.user && req.user.method !== 'none') return req.user.name;
+  return claimed;
+}
+
+function authStatus() {
+  const config = getSettings();
+  if (!config.enabled) return { enabled: false };
+
+  const methods = [];
+  if (config.apiKeys.length > 0) methods.push('api-key');
+  if (config.jwks) methods.push('jwt');
+  return { enabled: true, methods };
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  recordedBy,
+  authorName,
+  authStatus
+};
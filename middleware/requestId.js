@@ -0,0 +1,15 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Give every request an id (the caller's X-Request-Id when it sends a usable
+// one) so log lines and audit entries can be traced back to the request.
+// The id is echoed in the X-Request-Id response header.
+function requestId(req, res, next) {
+  const supplied = req.get('x-request-id');
+  req.id = supplied && /^[\w.:-]{1,128}$/.test(supplied) ? supplied : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = {
+  requestId
+};
@@ -0,0 +1,27 @@
+const { canAccess, getWorkspace, openWorkspace, DEFAULT_WORKSPACE } = require('../services/workspaces');
+
+// Select the workspace a request works in, from the X-Workspace-Id header
+// or ?workspace= (the default workspace when neither is sent), and set
+// req.workspace to its storage. Runs after authenticate. Workspaces the
+// caller may not use get the same 404 as workspaces that do not exist, so
+// callers cannot find out which workspace ids exist.
+async function resolveWorkspace(req, res, next) {
+  const workspaceId = req.get('x-workspace-id') || req.query.workspace || DEFAULT_WORKSPACE;
+
+  try {
+    if (!canAccess(req.user, workspaceId) || !await getWorkspace(workspaceId)) {
+      return res.status(404).json({ error: `Workspace '${workspaceId}' not found` });
+    }
+
+    req.workspace = openWorkspace(workspaceId);
+    res.set('X-Workspace-Id', workspaceId);
+    next();
+  } catch (error) {
+    console.error('Workspace resolution error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = {
+  resolveWorkspace
+};
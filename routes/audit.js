@@ -0,0 +1,55 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { findAuditEntries, getAuditEntry, auditCsv } = require('../services/auditLog');
+
+const router = express.Router();
+
+// Filters shared by the list and the CSV export
+function auditFilters(query) {
+  const { entityType, entityId, action, requestId, actorId, actor, from, to, limit } = query;
+  return { entityType, entityId, action, requestId, actorId, actor, from, to, limit };
+}
+
+// List the workspace's audit entries, newest first, without their snapshots
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await findAuditEntries(req.workspace, auditFilters(req.query)));
+  } catch (error) {
+    console.error('Fetch audit log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The same entries as a CSV download
+router.get('/export', requireRole('admin'), async (req, res) => {
+  try {
+    const entries = await findAuditEntries(req.workspace, { ...auditFilters(req.query), limit: req.query.limit || 5000 });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(auditCsv(entries));
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A single entry with its before/after snapshots
+router.get('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const entry = await getAuditEntry(req.workspace, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Fetch audit entry error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
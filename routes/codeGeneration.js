@@ -1,400 +1,879 @@
-const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { containers, containerClient, AzureOpenAIClient } = require('../config/azure');
-
-const router = express.Router();
-const openaiClient = new AzureOpenAIClient();
-
-// Generate JavaScript code for Action Button
-router.post('/', async (req, res) => {
-  try {
-    console.log('🚀 Code generation request received');
-    
-    const {
-      projectName,
-      actionButtonType,
-      businessLogic,
-      fieldBindingId
-    } = req.body;
-
-    // Validate required fields
-    if (!projectName || !actionButtonType || !businessLogic || !fieldBindingId) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: projectName, actionButtonType, businessLogic, fieldBindingId' 
-      });
-    }
-
-    // Get field binding configuration with fallback
-    let fieldBinding;
-    try {
-      const { resource } = await containers.fieldBindings.item(fieldBindingId, actionButtonType).read();
-      fieldBinding = resource;
-      console.log('✅ Found field binding via direct lookup');
-    } catch (error) {
-      console.log('⚠️ Direct lookup failed, trying query approach:', error.message);
-      // Fallback to query if direct lookup fails
-      const query = {
-        query: 'SELECT * FROM c WHERE c.id = @id',
-        parameters: [{ name: '@id', value: fieldBindingId }]
-      };
-      const { resources } = await containers.fieldBindings.items.query(query).fetchAll();
-      fieldBinding = resources.length > 0 ? resources[0] : null;
-      if (fieldBinding) {
-        console.log('✅ Found field binding via query');
-      }
-    }
-    
-    if (!fieldBinding) {
-      console.log('❌ Field binding not found');
-      return res.status(404).json({ error: 'Field binding configuration not found' });
-    }
-
-    console.log('🔍 Searching knowledge base for examples...');
-    
-    // Get relevant knowledge base examples
-    let examples = [];
-    let exampleCodes = [];
-    
-    try {
-      const knowledgeQuery = `
-        SELECT * FROM c 
-        WHERE c.type = "knowledge" 
-        AND c.actionButtonType = @actionButtonType 
-        AND (c.fileType = "application/javascript" OR c.fileType = "text/javascript")
-        ORDER BY c.uploadedAt DESC
-      `;
-
-      const { resources: examplesFound } = await containers.knowledgeBase.items.query({
-        query: knowledgeQuery,
-        parameters: [{ name: '@actionButtonType', value: actionButtonType }]
-      }).fetchAll();
-      
-      examples = examplesFound;
-      console.log(`📚 Found ${examples.length} knowledge base examples`);
-
-      // Get example code content
-      for (const example of examples.slice(0, 3)) { // Use top 3 most recent examples
-        try {
-          const blockBlobClient = containerClient.getBlockBlobClient(example.filePath);
-          const downloadResponse = await blockBlobClient.download();
-          
-          const chunks = [];
-          for await (const chunk of downloadResponse.readableStreamBody) {
-            chunks.push(chunk);
-          }
-          const content = Buffer.concat(chunks).toString('utf-8');
-          
-          exampleCodes.push({
-            fileName: example.fileName,
-            content: content,
-            description: example.description
-          });
-          console.log(`✅ Downloaded example: ${example.fileName}`);
-        } catch (downloadError) {
-          console.warn(`⚠️ Could not download example ${example.fileName}:`, downloadError.message);
-        }
-      }
-      
-      console.log(`📚 Successfully loaded ${exampleCodes.length} example codes`);
-      
-    } catch (knowledgeError) {
-      console.log('⚠️ Knowledge base query failed:', knowledgeError.message);
-      console.log('🔄 Continuing without examples...');
-    }
-
-    console.log('🤖 Generating code with Azure OpenAI...');
-
-    // Generate code using Azure OpenAI
-    const generatedCode = await generateActionButtonCode(
-      projectName,
-      actionButtonType,
-      businessLogic,
-      fieldBinding,
-      exampleCodes
-    );
-
-    console.log('✅ Code generated successfully');
-
-    console.log('💾 Saving to database...');
-    
-    // Store generated code
-    const codeRecord = {
-      id: uuidv4(),
-      projectId: projectName.toLowerCase().replace(/[^a-z0-9]/g, ''),
-      projectName,
-      actionButtonType,
-      businessLogic,
-      fieldBindingId,
-      fieldBinding,
-      generatedCode,
-      examples: exampleCodes.map(ex => ({ fileName: ex.fileName, description: ex.description })),
-      generatedAt: new Date().toISOString(),
-      version: '1.0.0',
-      status: 'generated'
-    };
-
-    const { resource } = await containers.generatedCode.items.create(codeRecord);
-    
-    console.log('✅ Saved to database with ID:', resource.id);
-
-    res.json({
-      message: 'JavaScript code generated successfully',
-      codeId: resource.id,
-      projectName,
-      generatedCode,
-      usedExamples: exampleCodes.length
-    });
-
-  } catch (error) {
-    console.error('💥 Code generation error:', error.message);
-    console.error('Stack trace:', error.stack);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get generated code by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { projectId } = req.query;
-
-    if (!projectId) {
-      return res.status(400).json({ error: 'projectId query parameter is required' });
-    }
-    
-    const { resource } = await containers.generatedCode.item(id, projectId).read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'Generated code not found' });
-    }
-
-    res.json(resource);
-
-  } catch (error) {
-    console.error('Fetch generated code error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get all generated codes for a project
-router.get('/project/:projectId', async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    
-    const query = `
-      SELECT * FROM c 
-      WHERE c.projectId = @projectId
-      ORDER BY c.generatedAt DESC
-    `;
-
-    const { resources } = await containers.generatedCode.items.query({
-      query,
-      parameters: [{ name: '@projectId', value: projectId }]
-    }).fetchAll();
-
-    res.json(resources);
-
-  } catch (error) {
-    console.error('Fetch project codes error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Regenerate code with modifications
-router.post('/:id/regenerate', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { modifications, projectId } = req.body;
-
-    if (!projectId) {
-      return res.status(400).json({ error: 'projectId is required' });
-    }
-
-    // Get existing code record
-    const { resource: existingCode } = await containers.generatedCode.item(id, projectId).read();
-    
-    if (!existingCode) {
-      return res.status(404).json({ error: 'Generated code not found' });
-    }
-
-    // Regenerate with modifications
-    const modifiedBusinessLogic = `${existingCode.businessLogic}\n\nADDITIONAL MODIFICATIONS:\n${modifications}`;
-    
-    const regeneratedCode = await generateActionButtonCode(
-      existingCode.projectName,
-      existingCode.actionButtonType,
-      modifiedBusinessLogic,
-      existingCode.fieldBinding,
-      [] // Use cached examples
-    );
-
-    // Update existing record
-    const updatedRecord = {
-      ...existingCode,
-      generatedCode: regeneratedCode,
-      businessLogic: modifiedBusinessLogic,
-      generatedAt: new Date().toISOString(),
-      version: incrementVersion(existingCode.version),
-      status: 'regenerated'
-    };
-
-    const { resource } = await containers.generatedCode.item(id, projectId).replace(updatedRecord);
-
-    res.json({
-      message: 'JavaScript code regenerated successfully',
-      codeId: resource.id,
-      generatedCode: regeneratedCode,
-      version: resource.version
-    });
-
-  } catch (error) {
-    console.error('Code regeneration error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Download generated code as .js file
-router.get('/:id/download', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { projectId } = req.query;
-
-    if (!projectId) {
-      return res.status(400).json({ error: 'projectId query parameter is required' });
-    }
-    
-    const { resource } = await containers.generatedCode.item(id, projectId).read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'Generated code not found' });
-    }
-
-    const fileName = `${resource.projectName.replace(/[^a-zA-Z0-9]/g, '')}.js`;
-    
-    res.set({
-      'Content-Type': 'application/javascript',
-      'Content-Disposition': `attachment; filename="${fileName}"`
-    });
-
-    res.send(resource.generatedCode);
-
-  } catch (error) {
-    console.error('Download code error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get generation history
-router.get('/history/all', async (req, res) => {
-  try {
-    const { limit = 50 } = req.query;
-    
-    const query = `
-      SELECT 
-        c.id,
-        c.projectName,
-        c.actionButtonType,
-        c.generatedAt,
-        c.version,
-        c.status
-      FROM c 
-      ORDER BY c.generatedAt DESC
-      OFFSET 0 LIMIT @limit
-    `;
-
-    const { resources } = await containers.generatedCode.items.query({
-      query,
-      parameters: [{ name: '@limit', value: parseInt(limit) }]
-    }).fetchAll();
-
-    res.json(resources);
-
-  } catch (error) {
-    console.error('Fetch generation history error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Helper function to generate JavaScript code using Azure OpenAI
-async function generateActionButtonCode(projectName, actionButtonType, businessLogic, fieldBinding, examples) {
-  const systemPrompt = `You are an expert o9 supply chain platform JavaScript developer. You specialize in generating Action Button JavaScript modules following EXACT syntax patterns.
-
-CRITICAL REQUIREMENTS:
-1. Follow the EXACT syntax structure from provided examples
-2. Only change the module name and field binding references
-3. Preserve ALL validation patterns, query structures, and error handling
-4. Use field bindings data to construct proper scope statements
-5. Maintain identical code structure to examples
-
-FIELD BINDING CLASSIFICATIONS:
-- Dimensions: Used for filtering and scope definition (SKU, Store, VersionName, dates)
-- Measures: Target fields for data updates (values to be changed)
-- Parameters: Control flags and options (boolean flags, settings)
-
-STANDARD STRUCTURE:
-\`\`\`javascript
-define('o9.ModuleName',['o9/data/query', 'o9/data/cellset'],function(){
-    var ActionButtonCall = function(o9Params) {
-        var parsedParams = JSON.parse(o9Params);
-        
-        // Logging for all field bindings
-        // Validation logic
-        // Update queries with proper scope
-        
-        return RuleOutputToUI;
-    };
-    
-    var ConcatenateMultiselect = function(value){
-        if (Array.isArray(value)) {
-            return value.join('","');
-        }
-        return value;
-    };
-    
-    return {
-        ActionButtonCall:ActionButtonCall
-    };
-});
-\`\`\`
-
-You must generate code that matches the examples exactly, changing only module names and field references.`;
-
-  const userPrompt = `Generate an o9 Action Button JavaScript module with these specifications:
-
-PROJECT NAME: ${projectName}
-ACTION BUTTON TYPE: ${actionButtonType}
-BUSINESS LOGIC: ${businessLogic}
-
-FIELD BINDINGS:
-${JSON.stringify(fieldBinding.fields, null, 2)}
-
-
-${examples.length > 0 ? `REFERENCE EXAMPLES:\n${examples.map(ex => `--- ${ex.fileName} ---\n${ex.content}`).join('\n\n')}` : ''}
-
-Generate the complete JavaScript module following the exact patterns from the examples. The module name should be "o9.${projectName.replace(/[^a-zA-Z0-9]/g, '')}"`;
-
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    { role: 'user', content: userPrompt }
-  ];
-
-  console.log('🤖 Calling Azure OpenAI...');
-  
-  const response = await openaiClient.generateCompletion(messages, 4000, 0.1);
-  
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('No code generated from AI service');
-  }
-
-  console.log('✅ Received AI response');
-  return response.choices[0].message.content;
-}
-
-// Helper function to increment version
-function incrementVersion(version) {
-  const parts = version.split('.');
-  const patch = parseInt(parts[2] || 0) + 1;
-  return `${parts[0]}.${parts[1]}.${patch}`;
-}
-
-module.exports = router;
+const express = require('express');
+const multer = require('multer');
+const { validateGeneratedCode } = require('../services/codeValidator');
+const { dryRunModule } = require('../services/sandbox');
+const { buildSamplePayloads } = require('../services/samplePayloads');
+const { snapshot, createRevision, listRevisions, getRevision } = require('../services/codeRevisions');
+const { diffRevisions } = require('../services/codeDiff');
+const { findFieldBinding, validateGenerationRequest, runGeneration, generateActionButtonCode } = require('../services/generation');
+const { currentRevision } = require('../services/bindingRevisions');
+const { enqueueGeneration, getJob, listJobs } = require('../services/jobQueue');
+const { latestModules, writeProjectArchive } = require('../services/projectExport');
+const { parseManifest, createBatch, getBatch, listBatches, writeBatchArchive } = require('../services/batchGeneration');
+const { requireRole, recordedBy, authorName } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+// Batch manifests are uploaded as a single CSV or JSON file
+const manifestUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+// Generate JavaScript code for Action Button. With async: true the request
+// is queued instead and answered with 202 and a job id to poll.
+router.post('/', requireRole('author'), async (req, res) => {
+  try {
+    console.log('🚀 Code generation request received');
+
+    if (req.body.async === true || req.query.async === 'true') {
+      const { async: _async, ...request } = req.body;
+      validateGenerationRequest(request);
+
+      const job = await enqueueGeneration(req.workspace, request, { createdBy: recordedBy(req.user), requestId: req.id });
+      return res.status(202).json({
+        message: 'Code generation queued',
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/generate-code/jobs/${job.id}`
+      });
+    }
+
+    res.json(await runGeneration(req.body, { workspace: req.workspace, createdBy: recordedBy(req.user), requestId: req.id }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('💥 Code generation error:', error.message);
+    console.error('Stack trace:', error.stack);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Streaming variant of code generation over Server-Sent Events. Emits
+// stage events as the pipeline progresses, token events with model output,
+// then complete (the same body as POST /) or error. Closing the connection
+// cancels the generation before anything is saved.
+router.post('/stream', requireRole('author'), async (req, res) => {
+  const controller = new AbortController();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🛑 Streaming generation cancelled by client');
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded && !controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    console.log('🚀 Streaming code generation request received');
+
+    const result = await runGeneration(req.body, {
+      workspace: req.workspace,
+      createdBy: recordedBy(req.user),
+      requestId: req.id,
+      signal: controller.signal,
+      onStage: (stage, data) => send('stage', { stage, ...data }),
+      onToken: (text) => send('token', { text })
+    });
+
+    send('complete', result);
+
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('💥 Streaming code generation error:', error.message);
+    }
+    send('error', { error: error.message, status: error.status || 500 });
+  } finally {
+    res.end();
+  }
+});
+
+// List generation jobs, newest first, optionally filtered by status
+router.get('/jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const jobs = await listJobs(req.workspace, {
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json(jobs.map(jobSummary));
+  } catch (error) {
+    console.error('Error fetching generation jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Poll a generation job: queued, running, validating, succeeded or failed
+router.get('/jobs/:jobId', requireRole('viewer'), async (req, res) => {
+  try {
+    const job = await getJob(req.workspace, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+
+    res.json(jobSummary(job));
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a batch from a manifest: a CSV or JSON file uploaded as "manifest",
+// or a JSON body with a rows array. Rows are checked before anything runs;
+// the batch then generates in the background and is polled by id.
+router.post('/batches', requireRole('author'), manifestUpload.single('manifest'), async (req, res) => {
+  try {
+    let rows = req.body.rows;
+
+    if (req.file) {
+      const isCsv = req.file.originalname.toLowerCase().endsWith('.csv') || req.file.mimetype === 'text/csv';
+      rows = parseManifest(req.file.buffer.toString('utf-8'), isCsv ? 'csv' : 'json');
+    } else if (typeof rows === 'string') {
+      rows = parseManifest(rows, 'json');
+    }
+
+    const batch = await createBatch(req.workspace, {
+      name: req.body.name,
+      rows,
+      concurrency: req.body.concurrency,
+      mode: req.body.mode || undefined,
+      generateTests: req.body.generateTests === true || req.body.generateTests === 'true',
+      maxRepairAttempts: req.body.maxRepairAttempts,
+      createdBy: recordedBy(req.user),
+      requestId: req.id
+    });
+
+    res.status(202).json({
+      message: 'Batch generation started',
+      batchId: batch.id,
+      status: batch.status,
+      counts: batch.counts,
+      statusUrl: `/api/generate-code/batches/${batch.id}`,
+      downloadUrl: `/api/generate-code/batches/${batch.id}/download`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, rows: error.rows });
+    }
+    console.error('💥 Batch generation error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent batches, newest first
+router.get('/batches', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await listBatches(req.workspace, { limit: Math.min(parseInt(req.query.limit) || 50, 200) }));
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Batch status with per-row results
+router.get('/batches/:batchId', requireRole('viewer'), async (req, res) => {
+  try {
+    const batch = await getBatch(req.workspace, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the batch as a zip of modules plus a summary report
+router.get('/batches/:batchId/download', requireRole('viewer'), async (req, res) => {
+  try {
+    const batch = await getBatch(req.workspace, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const fileName = `${(batch.name || 'batch').replace(/[^a-zA-Z0-9-]/g, '') || 'batch'}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    await writeBatchArchive(req.workspace, batch, res);
+
+  } catch (error) {
+    console.error('Download batch error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Get generated code by ID
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+    
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    res.json(resource);
+
+  } catch (error) {
+    console.error('Fetch generated code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all generated codes for a project
+router.get('/project/:projectId', requireRole('viewer'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    
+    const resources = await req.workspace.documents.generatedCode.find({
+      filter: { projectId },
+      orderBy: 'generatedAt'
+    });
+
+    res.json(resources);
+
+  } catch (error) {
+    console.error('Fetch project codes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the latest version of every module in a project as a zip, with the
+// field bindings, business logic READMEs and a manifest
+router.get('/project/:projectId/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const records = await latestModules(req.workspace, projectId);
+
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'No generated code found for this project' });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${projectId}.zip"`
+    });
+
+    await writeProjectArchive(projectId, records, res);
+
+  } catch (error) {
+    console.error('Export project error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Regenerate code with modifications. With useCurrentBinding: true the module
+// is rebuilt against the binding's current revision instead of the snapshot
+// it was generated from (modifications are then optional).
+router.post('/:id/regenerate', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { modifications, projectId, maxRepairAttempts, generateTests, useCurrentBinding } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    // Get existing code record
+    const existingCode = await req.workspace.documents.generatedCode.read(id, projectId);
+    
+    if (!existingCode) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    let fieldBinding = existingCode.fieldBinding;
+    let fieldBindingRevision = existingCode.fieldBindingRevision ?? null;
+
+    if (useCurrentBinding) {
+      if (!existingCode.fieldBindingId) {
+        return res.status(400).json({ error: 'This module was generated from inline fields and has no stored field binding' });
+      }
+      fieldBinding = await findFieldBinding(req.workspace, existingCode.fieldBindingId, existingCode.actionButtonType);
+      if (!fieldBinding) {
+        return res.status(404).json({ error: 'Field binding configuration not found' });
+      }
+      fieldBindingRevision = currentRevision(fieldBinding);
+    }
+
+    // Regenerate with modifications
+    const modifiedBusinessLogic = modifications
+      ? `${existingCode.businessLogic}\n\nADDITIONAL MODIFICATIONS:\n${modifications}`
+      : existingCode.businessLogic;
+    const promptBusinessLogic = useCurrentBinding
+      ? `${modifiedBusinessLogic}\n\nFIELD BINDING UPDATE:\nThe field bindings changed since this module was generated. Update the module to use exactly the fields listed under FIELD BINDINGS.`
+      : modifiedBusinessLogic;
+    
+    const { generatedCode: regeneratedCode, validation, attempts, tests, promptTemplate } = await generateActionButtonCode(
+      existingCode.projectName,
+      existingCode.actionButtonType,
+      promptBusinessLogic,
+      fieldBinding,
+      [], // Use cached examples
+      {
+        workspace: req.workspace,
+        maxRepairAttempts,
+        generateTests: generateTests ?? Boolean(existingCode.testCode),
+        // Start from the current head so manual edits carry over
+        baseModule: {
+          code: existingCode.generatedCode,
+          edited: existingCode.revisionSource === 'manual'
+        }
+      }
+    );
+
+    // Update existing record
+    const updatedRecord = {
+      ...existingCode,
+      generatedCode: regeneratedCode,
+      validation,
+      attempts,
+      testCode: tests ? tests.testCode : null,
+      testFileName: tests ? tests.testFileName : null,
+      businessLogic: modifiedBusinessLogic,
+      fieldBinding,
+      fieldBindingRevision,
+      generatedAt: new Date().toISOString(),
+      lastEditedBy: null,
+      lastEditedAt: null,
+      version: incrementVersion(existingCode.version),
+      // Modifications are always applied by the model, even to template output
+      generationMode: 'ai',
+      promptTemplate,
+      status: 'regenerated'
+    };
+
+    // Keep the previous state in history and record the modifications prompt
+    const head = await createRevision(req.workspace, existingCode, updatedRecord, {
+      source: 'regenerated',
+      modifications: modifications || (useCurrentBinding ? `Rebuilt against field binding revision ${fieldBindingRevision}` : null),
+      author: authorName(req)
+    });
+    const resource = await req.workspace.documents.generatedCode.replace(id, projectId, head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'generatedCode',
+      entityId: id,
+      action: 'regenerate',
+      before: existingCode,
+      after: resource,
+      details: {
+        projectId,
+        modifications: modifications || null,
+        fieldBindingRevision: useCurrentBinding ? { from: existingCode.fieldBindingRevision ?? null, to: fieldBindingRevision } : undefined
+      }
+    });
+
+    res.json({
+      message: 'JavaScript code regenerated successfully',
+      codeId: resource.id,
+      generatedCode: regeneratedCode,
+      validation,
+      attemptCount: attempts.length,
+      attempts,
+      testCode: resource.testCode,
+      testFileName: resource.testFileName,
+      promptTemplate,
+      fieldBindingRevision,
+      version: resource.version,
+      revision: resource.revision
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Code regeneration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save code edited in the UI as a manual revision
+router.put('/:id/code', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, generatedCode, author } = req.body;
+
+    if (!projectId || typeof generatedCode !== 'string' || !generatedCode.trim()) {
+      return res.status(400).json({ error: 'projectId and generatedCode are required' });
+    }
+
+    const existingCode = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!existingCode) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    if (generatedCode === existingCode.generatedCode) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    // Edits are saved even when invalid; the validation is returned for the editor
+    const { code, ...validation } = validateGeneratedCode(generatedCode, {
+      projectName: existingCode.projectName,
+      fields: existingCode.fieldBinding?.fields
+    });
+
+    const editedAt = new Date().toISOString();
+    const editedBy = authorName(req, author) || 'anonymous';
+
+    const editedRecord = {
+      ...existingCode,
+      generatedCode,
+      validation,
+      lastEditedBy: editedBy,
+      lastEditedAt: editedAt,
+      generatedAt: editedAt,
+      version: incrementVersion(existingCode.version),
+      status: 'edited'
+    };
+
+    const head = await createRevision(req.workspace, existingCode, editedRecord, {
+      source: 'manual',
+      author: editedBy
+    });
+    const resource = await req.workspace.documents.generatedCode.replace(id, projectId, head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'generatedCode',
+      entityId: id,
+      action: 'edit',
+      before: existingCode,
+      after: resource,
+      details: { projectId }
+    });
+
+    res.json({
+      message: 'Code changes saved successfully',
+      codeId: resource.id,
+      generatedCode: resource.generatedCode,
+      validation,
+      version: resource.version,
+      revision: resource.revision,
+      lastEditedBy: resource.lastEditedBy,
+      lastEditedAt: resource.lastEditedAt
+    });
+
+  } catch (error) {
+    console.error('Save code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the revision history of generated code
+router.get('/:id/revisions', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    const revisions = await listRevisions(req.workspace, id);
+
+    res.json({
+      codeId: resource.id,
+      currentRevision: resource.revision ?? null,
+      currentVersion: resource.version,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Fetch revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific revision by number or version
+router.get('/:id/revisions/:revision', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    const { projectId } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+
+    const resource = await getRevision(req.workspace, id, revision);
+
+    if (!resource || resource.projectId !== projectId) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(resource);
+
+  } catch (error) {
+    console.error('Fetch revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an older revision as the new head
+router.post('/:id/revisions/:revision/restore', requireRole('author'), async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    const { projectId } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    const existingCode = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!existingCode) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    const target = await getRevision(req.workspace, id, revision);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const restoredRecord = {
+      ...existingCode,
+      ...snapshot(target),
+      generatedAt: new Date().toISOString(),
+      lastEditedBy: null,
+      lastEditedAt: null,
+      version: incrementVersion(existingCode.version),
+      status: 'restored'
+    };
+
+    const head = await createRevision(req.workspace, existingCode, restoredRecord, {
+      source: 'restored',
+      restoredFrom: target.revision,
+      author: authorName(req)
+    });
+    const resource = await req.workspace.documents.generatedCode.replace(id, projectId, head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'generatedCode',
+      entityId: id,
+      action: 'restore',
+      before: existingCode,
+      after: resource,
+      details: { projectId, restoredFrom: target.revision }
+    });
+
+    res.json({
+      message: `Revision ${target.revision} restored successfully`,
+      codeId: resource.id,
+      generatedCode: resource.generatedCode,
+      validation: resource.validation,
+      version: resource.version,
+      revision: resource.revision,
+      restoredFrom: target.revision
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff two revisions (default: the head against the revision before it)
+router.get('/:id/diff', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, from, to = 'head' } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    const toRevision = await resolveRevision(req.workspace, resource, to);
+    if (!toRevision) {
+      return res.status(404).json({ error: `Revision '${to}' not found` });
+    }
+
+    const fromRef = from || (toRevision.revision > 1 ? String(toRevision.revision - 1) : null);
+    if (!fromRef) {
+      return res.status(400).json({ error: 'No earlier revision to compare against; pass from' });
+    }
+
+    const fromRevision = await resolveRevision(req.workspace, resource, fromRef);
+    if (!fromRevision) {
+      return res.status(404).json({ error: `Revision '${fromRef}' not found` });
+    }
+
+    res.json({
+      codeId: resource.id,
+      from: revisionSummary(fromRevision),
+      to: revisionSummary(toRevision),
+      ...diffRevisions(fromRevision, toRevision, { fileName: moduleFileName(resource.projectName) })
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff externally supplied code (e.g. the deployed module) against a revision
+router.post('/:id/diff', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, code, label = 'deployed', to = 'head' } = req.body;
+
+    if (!projectId || typeof code !== 'string') {
+      return res.status(400).json({ error: 'projectId and code are required' });
+    }
+
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    const toRevision = await resolveRevision(req.workspace, resource, to);
+    if (!toRevision) {
+      return res.status(404).json({ error: `Revision '${to}' not found` });
+    }
+
+    // Only the code is supplied, so business logic and binding compare as unchanged
+    const supplied = {
+      label,
+      generatedCode: code,
+      businessLogic: toRevision.businessLogic,
+      fieldBinding: toRevision.fieldBinding
+    };
+
+    res.json({
+      codeId: resource.id,
+      from: { label },
+      to: revisionSummary(toRevision),
+      ...diffRevisions(supplied, toRevision, { fileName: moduleFileName(resource.projectName) })
+    });
+
+  } catch (error) {
+    console.error('Diff code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download generated code as .js file
+router.get('/:id/download', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+    
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    const fileName = `${resource.projectName.replace(/[^a-zA-Z0-9]/g, '')}.js`;
+    
+    res.set({
+      'Content-Type': 'application/javascript',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    res.send(resource.generatedCode);
+
+  } catch (error) {
+    console.error('Download code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the companion test file as .test.js
+router.get('/:id/tests/download', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId query parameter is required' });
+    }
+    
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    if (!resource.testCode) {
+      return res.status(404).json({ error: 'No test file was generated for this code' });
+    }
+
+    res.set({
+      'Content-Type': 'application/javascript',
+      'Content-Disposition': `attachment; filename="${resource.testFileName}"`
+    });
+
+    res.send(resource.testCode);
+
+  } catch (error) {
+    console.error('Download tests error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dry-run generated code in the sandbox against mock o9 APIs. This executes
+// stored code, so it needs the author role like generation itself
+router.post('/:id/dry-run', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, o9Params, variant = 'baseline' } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    const resource = await req.workspace.documents.generatedCode.read(id, projectId);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Generated code not found' });
+    }
+
+    // Fall back to a sample payload built from the field binding
+    let params = o9Params;
+    if (!params) {
+      const sample = buildSamplePayloads(resource.fieldBinding?.fields).find(payload => payload.variant === variant);
+      if (!sample) {
+        return res.status(400).json({ error: `Sample payload variant '${variant}' is not available for this module` });
+      }
+      params = sample.o9Params;
+    }
+
+    const result = await dryRunModule(resource.generatedCode, params);
+
+    res.json({
+      codeId: resource.id,
+      version: resource.version,
+      variant: o9Params ? 'custom' : variant,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Dry run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get generation history
+router.get('/history/all', requireRole('viewer'), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    
+    const resources = await req.workspace.documents.generatedCode.find({
+      fields: ['id', 'projectName', 'actionButtonType', 'generatedAt', 'version', 'revision', 'status'],
+      orderBy: 'generatedAt',
+      limit
+    });
+
+    res.json(resources);
+
+  } catch (error) {
+    console.error('Fetch generation history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to resolve 'head', a revision number or a version string
+async function resolveRevision(workspace, head, ref) {
+  if (ref === 'head' || (head.revision !== undefined && String(head.revision) === String(ref))) {
+    return { ...head, revision: head.revision ?? null, source: head.revisionSource || head.status, createdAt: head.generatedAt };
+  }
+  return getRevision(workspace, head.id, ref);
+}
+
+// Job status without the stored request payload
+function jobSummary(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    stage: job.stage,
+    projectName: job.request.projectName,
+    actionButtonType: job.request.actionButtonType,
+    fieldBindingId: job.request.fieldBindingId,
+    result: job.result,
+    error: job.error,
+    restarts: job.restarts,
+    createdBy: job.createdBy || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function revisionSummary(revision) {
+  return {
+    revision: revision.revision,
+    version: revision.version,
+    source: revision.source,
+    createdAt: revision.createdAt
+  };
+}
+
+function moduleFileName(projectName) {
+  return `${projectName.replace(/[^a-zA-Z0-9]/g, '')}.js`;
+}
+
+// Helper function to increment version
+function incrementVersion(version) {
+  const parts = version.split('.');
+  const patch = parseInt(parts[2] || 0) + 1;
+  return `${parts[0]}.${parts[1]}.${patch}`;
+}
+
+module.exports = router;
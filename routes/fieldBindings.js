@@ -1,328 +1,499 @@
-const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { containers } = require('../config/azure');
-
-const router = express.Router();
-
-// Create new field binding configuration
-router.post('/', async (req, res) => {
-  try {
-    const {
-      name,
-      actionButtonType,
-      description,
-      fields
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !actionButtonType || !fields || !Array.isArray(fields)) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: name, actionButtonType, and fields array' 
-      });
-    }
-
-    // Validate field structure
-    for (const field of fields) {
-      if (!field.name || !field.dataType || !field.classification) {
-        return res.status(400).json({ 
-          error: 'Each field must have name, dataType, and classification' 
-        });
-      }
-    }
-
-    const fieldBinding = {
-      id: uuidv4(),
-      name,
-      actionButtonType,
-      description,
-      fields,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      isActive: true
-    };
-
-    const { resource } = await containers.fieldBindings.items.create(fieldBinding);
-
-    res.status(201).json({
-      message: 'Field binding created successfully',
-      fieldBinding: resource
-    });
-
-  } catch (error) {
-    console.error('Create field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get all field bindings
-router.get('/', async (req, res) => {
-  try {
-    const { actionButtonType, isActive } = req.query;
-    
-    let query = 'SELECT * FROM c';
-    const parameters = [];
-    const conditions = [];
-
-    if (actionButtonType) {
-      conditions.push('c.actionButtonType = @actionButtonType');
-      parameters.push({ name: '@actionButtonType', value: actionButtonType });
-    }
-
-    if (isActive !== undefined) {
-      conditions.push('c.isActive = @isActive');
-      parameters.push({ name: '@isActive', value: isActive === 'true' });
-    }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
-
-    query += ' ORDER BY c.updatedAt DESC';
-
-    const { resources } = await containers.fieldBindings.items.query({
-      query,
-      parameters
-    }).fetchAll();
-
-    res.json(resources);
-
-  } catch (error) {
-    console.error('Fetch field bindings error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get specific field binding
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const { resource } = await containers.fieldBindings.item(id, req.query.actionButtonType).read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'Field binding not found' });
-    }
-
-    res.json(resource);
-
-  } catch (error) {
-    console.error('Fetch field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Update field binding
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    // Get existing field binding
-    const { resource: existingBinding } = await containers.fieldBindings.item(id, updates.actionButtonType).read();
-    
-    if (!existingBinding) {
-      return res.status(404).json({ error: 'Field binding not found' });
-    }
-
-    // Update fields
-    const updatedBinding = {
-      ...existingBinding,
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-
-    const { resource } = await containers.fieldBindings.item(id, updates.actionButtonType).replace(updatedBinding);
-
-    res.json({
-      message: 'Field binding updated successfully',
-      fieldBinding: resource
-    });
-
-  } catch (error) {
-    console.error('Update field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Delete field binding
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { actionButtonType } = req.query;
-
-    if (!actionButtonType) {
-      return res.status(400).json({ error: 'actionButtonType query parameter is required' });
-    }
-
-    await containers.fieldBindings.item(id, actionButtonType).delete();
-
-    res.json({ message: 'Field binding deleted successfully' });
-
-  } catch (error) {
-    console.error('Delete field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get field binding templates for different action button types
-router.get('/templates/action-button-types', async (req, res) => {
-  try {
-    const templates = {
-      'Mass Edit/Add': {
-        commonFields: [
-          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
-          { name: 'SKU', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'Store', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'StartDate', dataType: 'date', classification: 'dimension', required: true },
-          { name: 'EndDate', dataType: 'date', classification: 'dimension', required: true }
-        ],
-        description: 'Fields commonly used in mass edit/add operations'
-      },
-      'Mass Delete': {
-        commonFields: [
-          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
-          { name: 'SKU', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'Store', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'ConfirmDelete', dataType: 'boolean', classification: 'parameter', required: true }
-        ],
-        description: 'Fields commonly used in mass delete operations'
-      },
-      'Checkbox Edit/Add': {
-        commonFields: [
-          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
-          { name: 'SelectedItems', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'EnableFlag', dataType: 'boolean', classification: 'parameter', required: true }
-        ],
-        description: 'Fields commonly used in checkbox-based edit/add operations'
-      },
-      'Checkbox Delete': {
-        commonFields: [
-          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
-          { name: 'SelectedItems', dataType: 'array', classification: 'dimension', required: true },
-          { name: 'ConfirmDelete', dataType: 'boolean', classification: 'parameter', required: true }
-        ],
-        description: 'Fields commonly used in checkbox-based delete operations'
-      }
-    };
-
-    res.json(templates);
-
-  } catch (error) {
-    console.error('Get templates error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Validate field binding structure
-router.post('/validate', async (req, res) => {
-  try {
-    const { fields } = req.body;
-
-    if (!Array.isArray(fields)) {
-      return res.status(400).json({ error: 'Fields must be an array' });
-    }
-
-    const validationErrors = [];
-    const fieldNames = new Set();
-
-    fields.forEach((field, index) => {
-      // Check required properties
-      if (!field.name) {
-        validationErrors.push(`Field ${index + 1}: Missing name`);
-      } else if (fieldNames.has(field.name)) {
-        validationErrors.push(`Field ${index + 1}: Duplicate field name '${field.name}'`);
-      } else {
-        fieldNames.add(field.name);
-      }
-
-      if (!field.dataType) {
-        validationErrors.push(`Field ${index + 1}: Missing dataType`);
-      } else if (!['string', 'number', 'boolean', 'date', 'array'].includes(field.dataType)) {
-        validationErrors.push(`Field ${index + 1}: Invalid dataType '${field.dataType}'`);
-      }
-
-      if (!field.classification) {
-        validationErrors.push(`Field ${index + 1}: Missing classification`);
-      } else if (!['dimension', 'measure', 'parameter'].includes(field.classification)) {
-        validationErrors.push(`Field ${index + 1}: Invalid classification '${field.classification}'`);
-      }
-    });
-
-    // Business logic validations
-    const dimensions = fields.filter(f => f.classification === 'dimension');
-    const measures = fields.filter(f => f.classification === 'measure');
-
-    if (dimensions.length === 0) {
-      validationErrors.push('At least one dimension field is required');
-    }
-
-    if (measures.length === 0) {
-      validationErrors.push('At least one measure field is required for data operations');
-    }
-
-    const isValid = validationErrors.length === 0;
-
-    res.json({
-      isValid,
-      errors: validationErrors,
-      summary: {
-        totalFields: fields.length,
-        dimensions: dimensions.length,
-        measures: measures.length,
-        parameters: fields.filter(f => f.classification === 'parameter').length
-      }
-    });
-
-  } catch (error) {
-    console.error('Validate field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Clone existing field binding
-router.post('/:id/clone', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { newName, actionButtonType } = req.body;
-
-    if (!newName) {
-      return res.status(400).json({ error: 'newName is required for cloning' });
-    }
-
-    // Get original field binding
-    const { resource: originalBinding } = await containers.fieldBindings.item(id, actionButtonType).read();
-    
-    if (!originalBinding) {
-      return res.status(404).json({ error: 'Original field binding not found' });
-    }
-
-    // Create cloned binding
-    const clonedBinding = {
-      ...originalBinding,
-      id: uuidv4(),
-      name: newName,
-      description: `Cloned from ${originalBinding.name}`,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    delete clonedBinding._rid;
-    delete clonedBinding._self;
-    delete clonedBinding._etag;
-    delete clonedBinding._attachments;
-    delete clonedBinding._ts;
-
-    const { resource } = await containers.fieldBindings.items.create(clonedBinding);
-
-    res.status(201).json({
-      message: 'Field binding cloned successfully',
-      fieldBinding: resource
-    });
-
-  } catch (error) {
-    console.error('Clone field binding error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { buildSamplePayloads } = require('../services/samplePayloads');
+const { analyzeModule } = require('../services/moduleImport');
+const { requireRole, recordedBy } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/auditLog');
+const { validateModelMetadata, validateFields } = require('../services/fieldSchema');
+const {
+  currentRevision,
+  createBindingRevision,
+  listBindingRevisions,
+  getBindingRevision,
+  findBindingModules
+} = require('../services/bindingRevisions');
+
+const router = express.Router();
+
+// Existing modules are uploaded as a single .js file
+const moduleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
+// Create new field binding configuration
+router.post('/', requireRole('author'), async (req, res) => {
+  try {
+    const {
+      name,
+      actionButtonType,
+      description,
+      fields
+    } = req.body;
+
+    // Validate required fields
+    if (!name || !actionButtonType || !fields || !Array.isArray(fields)) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: name, actionButtonType, and fields array' 
+      });
+    }
+
+    // Validate field structure
+    for (const field of fields) {
+      if (!field.name || !field.dataType || !field.classification) {
+        return res.status(400).json({ 
+          error: 'Each field must have name, dataType, and classification' 
+        });
+      }
+    }
+
+    // Validate o9 model metadata (attribute paths, measures, value rules)
+    const metadataErrors = validateModelMetadata(fields);
+    if (metadataErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid field metadata', errors: metadataErrors });
+    }
+
+    const fieldBinding = {
+      id: uuidv4(),
+      name,
+      actionButtonType,
+      description,
+      fields,
+      createdBy: recordedBy(req.user),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      isActive: true
+    };
+
+    // Every binding starts at revision 1
+    const head = await createBindingRevision(req.workspace, null, fieldBinding, { author: recordedBy(req.user) });
+    const resource = await req.workspace.documents.fieldBindings.create(head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'fieldBinding',
+      entityId: resource.id,
+      action: 'create',
+      after: resource
+    });
+
+    res.status(201).json({
+      message: 'Field binding created successfully',
+      fieldBinding: resource
+    });
+
+  } catch (error) {
+    console.error('Create field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all field bindings
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { actionButtonType, isActive } = req.query;
+
+    const resources = await req.workspace.documents.fieldBindings.find({
+      filter: {
+        actionButtonType: actionButtonType || undefined,
+        isActive: isActive !== undefined ? isActive === 'true' : undefined
+      },
+      orderBy: 'updatedAt'
+    });
+
+    res.json(resources);
+
+  } catch (error) {
+    console.error('Fetch field bindings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific field binding
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const resource = await req.workspace.documents.fieldBindings.read(id, req.query.actionButtonType);
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    res.json(resource);
+
+  } catch (error) {
+    console.error('Fetch field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update field binding
+router.put('/:id', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Get existing field binding
+    const existingBinding = await req.workspace.documents.fieldBindings.read(id, updates.actionButtonType);
+    
+    if (!existingBinding) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    if (updates.fields !== undefined) {
+      if (!Array.isArray(updates.fields)) {
+        return res.status(400).json({ error: 'Fields must be an array' });
+      }
+      const metadataErrors = validateModelMetadata(updates.fields);
+      if (metadataErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid field metadata', errors: metadataErrors });
+      }
+    }
+
+    // Update fields
+    const updatedBinding = {
+      ...existingBinding,
+      ...updates,
+      createdBy: existingBinding.createdBy,
+      updatedBy: recordedBy(req.user),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Changes are kept as a new binding revision; modules built from older
+    // revisions show up under /:id/stale-modules
+    const head = await createBindingRevision(req.workspace, existingBinding, updatedBinding, { author: recordedBy(req.user) });
+    const resource = await req.workspace.documents.fieldBindings.replace(id, updates.actionButtonType, head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'fieldBinding',
+      entityId: id,
+      action: 'update',
+      before: existingBinding,
+      after: resource,
+      details: { revision: resource.revision }
+    });
+
+    res.json({
+      message: 'Field binding updated successfully',
+      fieldBinding: resource
+    });
+
+  } catch (error) {
+    console.error('Update field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete field binding
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { actionButtonType } = req.query;
+
+    if (!actionButtonType) {
+      return res.status(400).json({ error: 'actionButtonType query parameter is required' });
+    }
+
+    const existingBinding = await req.workspace.documents.fieldBindings.read(id, actionButtonType);
+
+    if (!existingBinding) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    await req.workspace.documents.fieldBindings.delete(id, actionButtonType);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'fieldBinding',
+      entityId: id,
+      action: 'delete',
+      before: existingBinding
+    });
+
+    res.json({ message: 'Field binding deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get field binding templates for different action button types
+router.get('/templates/action-button-types', requireRole('viewer'), async (req, res) => {
+  try {
+    const templates = {
+      'Mass Edit/Add': {
+        commonFields: [
+          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
+          { name: 'SKU', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'Store', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'StartDate', dataType: 'date', classification: 'dimension', required: true },
+          { name: 'EndDate', dataType: 'date', classification: 'dimension', required: true }
+        ],
+        description: 'Fields commonly used in mass edit/add operations'
+      },
+      'Mass Delete': {
+        commonFields: [
+          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
+          { name: 'SKU', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'Store', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'ConfirmDelete', dataType: 'boolean', classification: 'parameter', required: true }
+        ],
+        description: 'Fields commonly used in mass delete operations'
+      },
+      'Checkbox Edit/Add': {
+        commonFields: [
+          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
+          { name: 'SelectedItems', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'EnableFlag', dataType: 'boolean', classification: 'parameter', required: true }
+        ],
+        description: 'Fields commonly used in checkbox-based edit/add operations'
+      },
+      'Checkbox Delete': {
+        commonFields: [
+          { name: 'VersionName', dataType: 'string', classification: 'dimension', required: true },
+          { name: 'SelectedItems', dataType: 'array', classification: 'dimension', required: true },
+          { name: 'ConfirmDelete', dataType: 'boolean', classification: 'parameter', required: true }
+        ],
+        description: 'Fields commonly used in checkbox-based delete operations'
+      }
+    };
+
+    res.json(templates);
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Analyze an existing define('o9.X', ...) module, sent as { code } or uploaded
+// as "file", and propose a field binding draft plus its action button type.
+// Nothing is saved; the draft can be posted to POST /api/field-bindings.
+router.post('/import', requireRole('viewer'), moduleUpload.single('file'), async (req, res) => {
+  try {
+    const code = req.file ? req.file.buffer.toString('utf-8') : req.body.code;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Module code is required (code in the body or an uploaded file)' });
+    }
+
+    res.json(analyzeModule(code));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Import module error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate field binding structure
+router.post('/validate', requireRole('viewer'), async (req, res) => {
+  try {
+    const { fields } = req.body;
+
+    if (!Array.isArray(fields)) {
+      return res.status(400).json({ error: 'Fields must be an array' });
+    }
+
+    // Names, data types, classifications and o9 model metadata
+    const validationErrors = validateFields(fields);
+
+    // Business logic validations
+    const dimensions = fields.filter(f => f.classification === 'dimension');
+    const measures = fields.filter(f => f.classification === 'measure');
+
+    if (dimensions.length === 0) {
+      validationErrors.push('At least one dimension field is required');
+    }
+
+    if (measures.length === 0) {
+      validationErrors.push('At least one measure field is required for data operations');
+    }
+
+    const isValid = validationErrors.length === 0;
+
+    res.json({
+      isValid,
+      errors: validationErrors,
+      summary: {
+        totalFields: fields.length,
+        dimensions: dimensions.length,
+        measures: measures.length,
+        parameters: fields.filter(f => f.classification === 'parameter').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revisions of a binding, newest first
+router.get('/:id/revisions', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const binding = await req.workspace.documents.fieldBindings.read(id, req.query.actionButtonType);
+
+    if (!binding) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    res.json({
+      fieldBindingId: id,
+      currentRevision: currentRevision(binding),
+      revisions: await listBindingRevisions(req.workspace, id)
+    });
+
+  } catch (error) {
+    console.error('Fetch field binding revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A single revision of a binding
+router.get('/:id/revisions/:revision', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+
+    const resource = await getBindingRevision(req.workspace, id, revision);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Field binding revision not found' });
+    }
+
+    res.json(resource);
+
+  } catch (error) {
+    console.error('Fetch field binding revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generated modules built from an older revision of a binding whose fields
+// have changed since; ?all=true lists every module built from the binding,
+// each flagged stale or not
+router.get('/:id/stale-modules', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { actionButtonType, all } = req.query;
+
+    const binding = await req.workspace.documents.fieldBindings.read(id, actionButtonType);
+
+    if (!binding) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    const modules = await findBindingModules(req.workspace, binding, { all: all === 'true' });
+
+    res.json({
+      fieldBindingId: id,
+      name: binding.name,
+      currentRevision: currentRevision(binding),
+      staleCount: modules.filter(module => module.stale).length,
+      modules
+    });
+
+  } catch (error) {
+    console.error('Fetch stale modules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate sample o9Params payloads (baseline and edge cases) for a binding
+router.get('/:id/sample-payloads', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { actionButtonType, variant } = req.query;
+
+    const binding = await req.workspace.documents.fieldBindings.read(id, actionButtonType);
+
+    if (!binding) {
+      return res.status(404).json({ error: 'Field binding not found' });
+    }
+
+    let payloads = buildSamplePayloads(binding.fields);
+
+    if (variant) {
+      payloads = payloads.filter(payload => payload.variant === variant);
+      if (payloads.length === 0) {
+        return res.status(404).json({ error: `Sample payload variant '${variant}' is not available for this binding` });
+      }
+    }
+
+    res.json({
+      fieldBindingId: binding.id,
+      name: binding.name,
+      actionButtonType: binding.actionButtonType,
+      payloads
+    });
+
+  } catch (error) {
+    console.error('Sample payloads error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clone existing field binding
+router.post('/:id/clone', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newName, actionButtonType } = req.body;
+
+    if (!newName) {
+      return res.status(400).json({ error: 'newName is required for cloning' });
+    }
+
+    // Get original field binding
+    const originalBinding = await req.workspace.documents.fieldBindings.read(id, actionButtonType);
+    
+    if (!originalBinding) {
+      return res.status(404).json({ error: 'Original field binding not found' });
+    }
+
+    // Create cloned binding
+    const clonedBinding = {
+      ...originalBinding,
+      id: uuidv4(),
+      name: newName,
+      description: `Cloned from ${originalBinding.name}`,
+      createdBy: recordedBy(req.user),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    delete clonedBinding.updatedBy;
+    delete clonedBinding.revision;
+    delete clonedBinding._rid;
+    delete clonedBinding._self;
+    delete clonedBinding._etag;
+    delete clonedBinding._attachments;
+    delete clonedBinding._ts;
+
+    const head = await createBindingRevision(req.workspace, null, clonedBinding, { author: recordedBy(req.user) });
+    const resource = await req.workspace.documents.fieldBindings.create(head);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'fieldBinding',
+      entityId: resource.id,
+      action: 'clone',
+      after: resource,
+      details: { clonedFrom: id }
+    });
+
+    res.status(201).json({
+      message: 'Field binding cloned successfully',
+      fieldBinding: resource
+    });
+
+  } catch (error) {
+    console.error('Clone field binding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,258 +1,482 @@
-const express = require('express');
-const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const { containers, containerClient } = require('../config/azure');
-
-const router = express.Router();
-
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: (process.env.MAX_FILE_SIZE_MB || 10) * 1024 * 1024 // Default 10MB
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow JavaScript files, images, and markdown files
-    const allowedTypes = [
-      'application/javascript',
-      'text/javascript',
-      'image/png',
-      'image/jpeg',
-      'image/jpg',
-      'text/markdown',
-      'text/plain',
-      'application/pdf'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || file.originalname.endsWith('.js') || file.originalname.endsWith('.md')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JS, images, markdown, and PDF files are allowed.'));
-    }
-  }
-});
-
-// Upload knowledge base files (JS examples, images, documentation)
-router.post('/upload', upload.array('files', 10), async (req, res) => {
-  try {
-    const { actionButtonType, description } = req.body;
-    
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const uploadResults = [];
-
-    for (const file of req.files) {
-      const fileId = uuidv4();
-      const fileName = `${actionButtonType}/${fileId}-${file.originalname}`;
-      
-      // Upload to Azure Blob Storage
-      const blockBlobClient = containerClient.getBlockBlobClient(fileName);
-      await blockBlobClient.uploadData(file.buffer, {
-        blobHTTPHeaders: { blobContentType: file.mimetype }
-      });
-
-      // Store metadata in Cosmos DB
-      const knowledgeItem = {
-        id: fileId,
-        type: 'knowledge',
-        actionButtonType: actionButtonType,
-        fileName: file.originalname,
-        filePath: fileName,
-        fileType: file.mimetype,
-        fileSize: file.size,
-        description: description,
-        uploadedAt: new Date().toISOString(),
-        blobUrl: blockBlobClient.url
-      };
-
-      const { resource } = await containers.knowledgeBase.items.create(knowledgeItem);
-      uploadResults.push(resource);
-    }
-
-    res.json({
-      message: 'Files uploaded successfully',
-      files: uploadResults
-    });
-
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get all knowledge base items
-router.get('/', async (req, res) => {
-  try {
-    const { actionButtonType } = req.query;
-    
-    let query = 'SELECT * FROM c WHERE c.type = "knowledge"';
-    const parameters = [];
-
-    if (actionButtonType) {
-      query += ' AND c.actionButtonType = @actionButtonType';
-      parameters.push({ name: '@actionButtonType', value: actionButtonType });
-    }
-
-    query += ' ORDER BY c.uploadedAt DESC';
-
-    const { resources } = await containers.knowledgeBase.items.query({
-      query,
-      parameters
-    }).fetchAll();
-
-    res.json(resources);
-
-  } catch (error) {
-    console.error('Fetch knowledge error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get specific knowledge item
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const { resource } = await containers.knowledgeBase.item(id, 'knowledge').read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'Knowledge item not found' });
-    }
-
-    res.json(resource);
-
-  } catch (error) {
-    console.error('Fetch knowledge item error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Download file content
-router.get('/:id/content', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Get metadata from Cosmos DB
-    const { resource } = await containers.knowledgeBase.item(id, 'knowledge').read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    // Download from Blob Storage
-    const blockBlobClient = containerClient.getBlockBlobClient(resource.filePath);
-    const downloadResponse = await blockBlobClient.download();
-    
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of downloadResponse.readableStreamBody) {
-      chunks.push(chunk);
-    }
-    const content = Buffer.concat(chunks);
-
-    // Set appropriate headers
-    res.set({
-      'Content-Type': resource.fileType,
-      'Content-Disposition': `attachment; filename="${resource.fileName}"`
-    });
-
-    res.send(content);
-
-  } catch (error) {
-    console.error('Download file error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Search knowledge base
-router.post('/search', async (req, res) => {
-  try {
-    const { searchQuery, actionButtonType } = req.body;
-    
-    let query = 'SELECT * FROM c WHERE c.type = "knowledge"';
-    const parameters = [];
-
-    if (searchQuery) {
-      query += ' AND (CONTAINS(LOWER(c.fileName), LOWER(@searchQuery)) OR CONTAINS(LOWER(c.description), LOWER(@searchQuery)))';
-      parameters.push({ name: '@searchQuery', value: searchQuery });
-    }
-
-    if (actionButtonType) {
-      query += ' AND c.actionButtonType = @actionButtonType';
-      parameters.push({ name: '@actionButtonType', value: actionButtonType });
-    }
-
-    query += ' ORDER BY c.uploadedAt DESC';
-
-    const { resources } = await containers.knowledgeBase.items.query({
-      query,
-      parameters
-    }).fetchAll();
-
-    res.json(resources);
-
-  } catch (error) {
-    console.error('Search knowledge error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Delete knowledge item
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Get metadata first
-    const { resource } = await containers.knowledgeBase.item(id, 'knowledge').read();
-    
-    if (!resource) {
-      return res.status(404).json({ error: 'Knowledge item not found' });
-    }
-
-    // Delete from Blob Storage
-    const blockBlobClient = containerClient.getBlockBlobClient(resource.filePath);
-    await blockBlobClient.deleteIfExists();
-
-    // Delete from Cosmos DB
-    await containers.knowledgeBase.item(id, 'knowledge').delete();
-
-    res.json({ message: 'Knowledge item deleted successfully' });
-
-  } catch (error) {
-    console.error('Delete knowledge error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get knowledge base statistics
-router.get('/stats/overview', async (req, res) => {
-  try {
-    const query = `
-      SELECT 
-        c.actionButtonType,
-        COUNT(1) as count,
-        SUM(c.fileSize) as totalSize
-      FROM c 
-      WHERE c.type = "knowledge"
-      GROUP BY c.actionButtonType
-    `;
-
-    const { resources } = await containers.knowledgeBase.items.query(query).fetchAll();
-
-    const stats = {
-      totalFiles: resources.reduce((sum, item) => sum + item.count, 0),
-      totalSize: resources.reduce((sum, item) => sum + item.totalSize, 0),
-      actionButtonTypes: resources
-    };
-
-    res.json(stats);
-
-  } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { blobs, isValidBlobName } = require('../storage');
+const { embedText, saveEmbeddings, deleteEmbeddings, embeddedChunkCount } = require('../services/embeddings');
+const { isPdfItem, isImageItem, hasText, extractKnowledgeText, readItemText } = require('../services/textExtraction');
+const { knowledgeIndex } = require('../services/searchIndex');
+const { requireRole, recordedBy } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (process.env.MAX_FILE_SIZE_MB || 10) * 1024 * 1024 // Default 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    // Allow JavaScript files, images, and markdown files
+    const allowedTypes = [
+      'application/javascript',
+      'text/javascript',
+      'image/png',
+      'image/jpeg',
+      'image/jpg',
+      'text/markdown',
+      'text/plain',
+      'application/pdf'
+    ];
+    
+    if (allowedTypes.includes(file.mimetype) || file.originalname.endsWith('.js') || file.originalname.endsWith('.md')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JS, images, markdown, and PDF files are allowed.'));
+    }
+  }
+});
+
+// Helper function to chunk and embed an item's text; the vectors go to the
+// knowledgeEmbeddings container and the item keeps a summary. Failures are
+// recorded, not thrown
+async function embedKnowledgeItem(workspace, item, buffer) {
+  if (!hasText(item)) return item;
+
+  try {
+    const content = await readItemText(item, buffer);
+    item.embeddings = await saveEmbeddings(workspace, item.id, await embedText(content));
+    delete item.embeddingError;
+    console.log(`✅ Embedded ${item.fileName} (${item.embeddings.chunkCount} chunks)`);
+  } catch (error) {
+    console.warn(`⚠️ Could not embed ${item.fileName}:`, error.message);
+    item.embeddingError = error.message;
+  }
+  return item;
+}
+
+// Helper function to summarize embeddings instead of returning raw vectors
+// (items embedded before vectors moved out keep them inline)
+function withoutVectors(item) {
+  if (!item || !item.embeddings) return item;
+
+  const { embeddings, ...rest } = item;
+  return {
+    ...rest,
+    embeddings: {
+      provider: embeddings.provider,
+      embeddedAt: embeddings.embeddedAt,
+      chunkCount: embeddedChunkCount(item)
+    }
+  };
+}
+
+// Upload knowledge base files (JS examples, images, documentation)
+router.post('/upload', requireRole('author'), upload.array('files', 10), async (req, res) => {
+  try {
+    const { actionButtonType, description, altText } = req.body;
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    // Both end up in the blob path, which must stay inside the workspace
+    const unsafe = [actionButtonType, ...req.files.map(file => file.originalname)].find(part => !isValidBlobName(part));
+    if (unsafe !== undefined) {
+      return res.status(400).json({ error: `Invalid actionButtonType or file name: ${unsafe}` });
+    }
+
+    const uploadResults = [];
+
+    for (const file of req.files) {
+      const fileId = uuidv4();
+      // filePath holds the full blob name, inside the workspace's folder
+      const fileName = req.workspace.blobName(`${actionButtonType}/${fileId}-${file.originalname}`);
+      
+      // Upload to blob storage
+      const blob = await blobs.upload(fileName, file.buffer, {
+        contentType: file.mimetype
+      });
+
+      // Store metadata in the document store
+      const knowledgeItem = {
+        id: fileId,
+        type: 'knowledge',
+        actionButtonType: actionButtonType,
+        fileName: file.originalname,
+        filePath: fileName,
+        fileType: file.mimetype,
+        fileSize: file.size,
+        description: description,
+        uploadedBy: recordedBy(req.user),
+        uploadedAt: new Date().toISOString(),
+        blobUrl: blob.url
+      };
+
+      if (altText) {
+        knowledgeItem.altText = altText;
+      }
+
+      // Extract text from PDFs and images, then chunk and embed it for semantic retrieval
+      await extractKnowledgeText(knowledgeItem, file.buffer, { altText });
+      await embedKnowledgeItem(req.workspace, knowledgeItem, file.buffer);
+
+      const resource = await req.workspace.documents.knowledgeBase.create(knowledgeItem);
+      await knowledgeIndex.indexItem(resource, file.buffer);
+      uploadResults.push(withoutVectors(resource));
+
+      await recordAudit(auditContext(req), {
+        entityType: 'knowledge',
+        entityId: resource.id,
+        action: 'upload',
+        after: withoutVectors(resource)
+      });
+    }
+
+    res.json({
+      message: 'Files uploaded successfully',
+      files: uploadResults
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all knowledge base items
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { actionButtonType } = req.query;
+
+    const resources = await req.workspace.documents.knowledgeBase.find({
+      filter: { type: 'knowledge', actionButtonType: actionButtonType || undefined },
+      orderBy: 'uploadedAt'
+    });
+
+    res.json(resources.map(withoutVectors));
+
+  } catch (error) {
+    console.error('Fetch knowledge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific knowledge item
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Knowledge item not found' });
+    }
+
+    res.json(withoutVectors(resource));
+
+  } catch (error) {
+    console.error('Fetch knowledge item error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download file content
+router.get('/:id/content', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Get metadata from the document store
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Download from blob storage
+    const content = await blobs.download(resource.filePath);
+
+    // Set appropriate headers
+    res.set({
+      'Content-Type': resource.fileType,
+      'Content-Disposition': `attachment; filename="${resource.fileName}"`
+    });
+
+    res.send(content);
+
+  } catch (error) {
+    console.error('Download file error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search knowledge base (BM25 ranked, with highlighted snippets)
+router.post('/search', requireRole('viewer'), async (req, res) => {
+  try {
+    const { searchQuery, actionButtonType, limit = 20 } = req.body;
+
+    const resources = await req.workspace.documents.knowledgeBase.find({
+      filter: { type: 'knowledge', actionButtonType: actionButtonType || undefined },
+      orderBy: 'uploadedAt'
+    });
+
+    if (!searchQuery || !searchQuery.trim()) {
+      return res.json(resources.map(withoutVectors));
+    }
+
+    const byId = new Map(resources.map(item => [item.id, item]));
+    const hits = await knowledgeIndex.search(searchQuery, { workspaceId: req.workspace.id, actionButtonType, limit: parseInt(limit) });
+
+    res.json(hits
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({
+        ...withoutVectors(byId.get(hit.id)),
+        score: hit.score,
+        snippet: hit.snippet,
+        highlights: hit.highlights
+      })));
+
+  } catch (error) {
+    console.error('Search knowledge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rebuild the in-memory search index from storage
+router.post('/search/reindex', requireRole('admin'), async (req, res) => {
+  try {
+    const indexed = await knowledgeIndex.rebuild();
+    res.json({ message: `Indexed ${indexed} knowledge items`, indexed });
+
+  } catch (error) {
+    console.error('Reindex knowledge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the extracted text of a PDF or image item
+router.get('/:id/extracted-text', requireRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+
+    if (!resource || !resource.extractedText) {
+      return res.status(404).json({ error: 'Extracted text not found' });
+    }
+
+    const content = await blobs.download(resource.extractedText.path);
+
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.send(content);
+
+  } catch (error) {
+    console.error('Fetch extracted text error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run text extraction for a PDF or image item (optionally with new alt text)
+router.post('/:id/extract', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { altText } = req.body;
+
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Knowledge item not found' });
+    }
+
+    if (!isPdfItem(resource) && !isImageItem(resource)) {
+      return res.status(400).json({ error: 'Only PDF and image knowledge items support text extraction' });
+    }
+
+    const before = structuredClone(withoutVectors(resource));
+
+    if (altText !== undefined) {
+      resource.altText = altText;
+    }
+
+    await extractKnowledgeText(resource);
+
+    await embedKnowledgeItem(req.workspace, resource);
+    const updated = await req.workspace.documents.knowledgeBase.replace(id, 'knowledge', resource);
+    await knowledgeIndex.indexItem(updated);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'knowledge',
+      entityId: id,
+      action: 'extract',
+      before,
+      after: withoutVectors(updated)
+    });
+
+    res.json({
+      message: updated.extractionError ? 'Text extraction failed' : 'Text extracted successfully',
+      item: withoutVectors(updated)
+    });
+
+  } catch (error) {
+    console.error('Extract knowledge text error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-embed a single knowledge item (e.g. after switching LLM provider)
+router.post('/:id/embed', requireRole('author'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Knowledge item not found' });
+    }
+
+    if (!hasText(resource)) {
+      return res.status(400).json({ error: 'Only knowledge items with text content can be embedded' });
+    }
+
+    const before = structuredClone(withoutVectors(resource));
+
+    await embedKnowledgeItem(req.workspace, resource);
+    const updated = await req.workspace.documents.knowledgeBase.replace(id, 'knowledge', resource);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'knowledge',
+      entityId: id,
+      action: 'embed',
+      before,
+      after: withoutVectors(updated)
+    });
+
+    res.json({
+      message: updated.embeddingError ? 'Embedding failed' : 'Knowledge item embedded successfully',
+      item: withoutVectors(updated)
+    });
+
+  } catch (error) {
+    console.error('Embed knowledge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Embed every text knowledge item that has no embeddings yet (or all with
+// force); items still holding their vectors inline are embedded again so the
+// vectors move to the knowledgeEmbeddings container
+router.post('/embeddings/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    const { force = false, actionButtonType } = req.body;
+
+    const items = await req.workspace.documents.knowledgeBase.find({
+      filter: { type: 'knowledge', actionButtonType: actionButtonType || undefined }
+    });
+
+    const results = { embedded: 0, skipped: 0, failed: [] };
+
+    for (const item of items) {
+      if (!hasText(item) || (!force && item.embeddings && !item.embeddings.chunks)) {
+        results.skipped++;
+        continue;
+      }
+
+      await embedKnowledgeItem(req.workspace, item);
+      await req.workspace.documents.knowledgeBase.replace(item.id, 'knowledge', item);
+
+      if (item.embeddingError) {
+        results.failed.push({ id: item.id, fileName: item.fileName, error: item.embeddingError });
+      } else {
+        results.embedded++;
+      }
+    }
+
+    await recordAudit(auditContext(req), {
+      entityType: 'knowledge',
+      action: 'rebuildEmbeddings',
+      details: { force: Boolean(force), actionButtonType: actionButtonType || null, ...results }
+    });
+
+    res.json({
+      message: `Embedded ${results.embedded} items, skipped ${results.skipped}, failed ${results.failed.length}`,
+      ...results
+    });
+
+  } catch (error) {
+    console.error('Rebuild embeddings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete knowledge item
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Get metadata first
+    const resource = await req.workspace.documents.knowledgeBase.read(id, 'knowledge');
+    
+    if (!resource) {
+      return res.status(404).json({ error: 'Knowledge item not found' });
+    }
+
+    // Delete from blob storage
+    await blobs.deleteIfExists(resource.filePath);
+    if (resource.extractedText) {
+      await blobs.deleteIfExists(resource.extractedText.path);
+    }
+
+    // Delete from the document store
+    await req.workspace.documents.knowledgeBase.delete(id, 'knowledge');
+    await deleteEmbeddings(req.workspace, id);
+    knowledgeIndex.removeItem(id);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'knowledge',
+      entityId: id,
+      action: 'delete',
+      before: withoutVectors(resource)
+    });
+
+    res.json({ message: 'Knowledge item deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete knowledge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get knowledge base statistics
+router.get('/stats/overview', requireRole('viewer'), async (req, res) => {
+  try {
+    const items = await req.workspace.documents.knowledgeBase.find({
+      filter: { type: 'knowledge' },
+      fields: ['actionButtonType', 'fileSize']
+    });
+
+    // Group by action button type
+    const groups = {};
+    for (const item of items) {
+      if (!groups[item.actionButtonType]) {
+        groups[item.actionButtonType] = { actionButtonType: item.actionButtonType, count: 0, totalSize: 0 };
+      }
+      groups[item.actionButtonType].count++;
+      groups[item.actionButtonType].totalSize += item.fileSize || 0;
+    }
+    const resources = Object.values(groups);
+
+    const stats = {
+      totalFiles: resources.reduce((sum, item) => sum + item.count, 0),
+      totalSize: resources.reduce((sum, item) => sum + item.totalSize, 0),
+      actionButtonTypes: resources
+    };
+
+    res.json(stats);
+
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
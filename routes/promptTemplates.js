@@ -0,0 +1,121 @@
+const express = require('express');
+const {
+  PLACEHOLDERS,
+  resolvePromptTemplate,
+  getTemplate,
+  listVersions,
+  listTemplates,
+  saveTemplate,
+  disableTemplate
+} = require('../services/promptTemplates');
+const { requireRole, recordedBy } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+// Action button types contain a slash ('Mass Edit/Add'), so clients send
+// them URL-encoded: /api/prompt-templates/Mass%20Edit%2FAdd. 'default' is the
+// template used by types without an override.
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Built-in prompt, latest version of each stored type and the placeholders
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      placeholders: PLACEHOLDERS,
+      templates: await listTemplates(req.workspace)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetch prompt templates error');
+  }
+});
+
+// Every version of a type, newest first, including disabled ones
+router.get('/:actionButtonType/versions', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await listVersions(req.workspace, req.params.actionButtonType));
+  } catch (error) {
+    sendError(res, error, 'Fetch prompt template versions error');
+  }
+});
+
+// The template generation would use for a type, or ?version= for a specific one
+router.get('/:actionButtonType', requireRole('viewer'), async (req, res) => {
+  try {
+    const { actionButtonType } = req.params;
+
+    if (req.query.version !== undefined) {
+      const template = await getTemplate(req.workspace, actionButtonType, req.query.version);
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template version not found' });
+      }
+      return res.json(template);
+    }
+
+    const { template, source } = await resolvePromptTemplate(req.workspace, actionButtonType);
+    res.json({ ...template, source });
+  } catch (error) {
+    sendError(res, error, 'Fetch prompt template error');
+  }
+});
+
+// Save a new version for a type ({ systemPrompt, userPrompt, description });
+// a prompt left out is carried over from the current template
+router.put('/:actionButtonType', requireRole('admin'), async (req, res) => {
+  try {
+    const { template, warnings } = await saveTemplate(req.workspace, req.params.actionButtonType, {
+      ...req.body,
+      createdBy: recordedBy(req.user)
+    });
+
+    await recordAudit(auditContext(req), {
+      entityType: 'promptTemplate',
+      entityId: template.id,
+      action: 'create',
+      after: template,
+      details: { actionButtonType: template.actionButtonType, version: template.version }
+    });
+
+    res.status(201).json({
+      message: `Prompt template version ${template.version} saved`,
+      template,
+      warnings
+    });
+  } catch (error) {
+    sendError(res, error, 'Save prompt template error');
+  }
+});
+
+// Disable a type's override (or ?version= to disable one version); versions
+// are kept so existing records still point at the prompt that produced them
+router.delete('/:actionButtonType', requireRole('admin'), async (req, res) => {
+  try {
+    const { actionButtonType } = req.params;
+    const disabled = await disableTemplate(req.workspace, actionButtonType, req.query.version);
+    const { template, source } = await resolvePromptTemplate(req.workspace, actionButtonType);
+
+    await recordAudit(auditContext(req), {
+      entityType: 'promptTemplate',
+      entityId: actionButtonType,
+      action: 'disable',
+      details: { actionButtonType, version: req.query.version ?? null, disabled }
+    });
+
+    res.json({
+      message: `Disabled ${disabled} prompt template version(s)`,
+      disabled,
+      current: { id: template.id, actionButtonType: template.actionButtonType, version: template.version, source }
+    });
+  } catch (error) {
+    sendError(res, error, 'Disable prompt template error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const {
+  canAccess,
+  getWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  openWorkspace
+} = require('../services/workspaces');
+const { requireRole, recordedBy } = require('../middleware/auth');
+const { auditContext, recordAudit } = require('../services/auditLog');
+
+const router = express.Router();
+
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Changes to a workspace are recorded in that workspace's own audit log
+function workspaceAuditContext(req, workspaceId) {
+  return { ...auditContext(req), workspace: openWorkspace(workspaceId) };
+}
+
+// Workspaces the caller may use
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await listWorkspaces(req.user));
+  } catch (error) {
+    sendError(res, error, 'Fetch workspaces error');
+  }
+});
+
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const workspace = canAccess(req.user, req.params.id) ? await getWorkspace(req.params.id) : null;
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    res.json(workspace);
+  } catch (error) {
+    sendError(res, error, 'Fetch workspace error');
+  }
+});
+
+// Create a workspace ({ id, name, description }). Callers limited to some
+// workspaces cannot create others, so a 409 never reveals ids they cannot see
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.user.workspaces) {
+      return res.status(403).json({ error: 'Callers limited to some workspaces cannot create workspaces' });
+    }
+
+    const { id, name, description } = req.body || {};
+    const workspace = await createWorkspace({ id, name, description, createdBy: recordedBy(req.user) });
+
+    await recordAudit(workspaceAuditContext(req, workspace.id), {
+      entityType: 'workspace',
+      entityId: workspace.id,
+      action: 'create',
+      after: workspace
+    });
+
+    res.status(201).json({ message: 'Workspace created', workspace });
+  } catch (error) {
+    sendError(res, error, 'Create workspace error');
+  }
+});
+
+// Rename or describe a workspace ({ name, description })
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!canAccess(req.user, req.params.id)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const before = await getWorkspace(req.params.id);
+    const { name, description } = req.body || {};
+    const workspace = await updateWorkspace(req.params.id, { name, description, updatedBy: recordedBy(req.user) });
+
+    await recordAudit(workspaceAuditContext(req, workspace.id), {
+      entityType: 'workspace',
+      entityId: workspace.id,
+      action: 'update',
+      before,
+      after: workspace
+    });
+
+    res.json({ message: 'Workspace updated', workspace });
+  } catch (error) {
+    sendError(res, error, 'Update workspace error');
+  }
+});
+
+module.exports = router;
@@ -1,58 +1,99 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const bodyParser = require('body-parser');
-
-// Import route modules
-const knowledgeRoutes = require('./routes/knowledge');
-const fieldBindingRoutes = require('./routes/fieldBindings');
-const codeGenerationRoutes = require('./routes/codeGeneration');
-const filesRoutes = require('./routes/files');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
-
-// API Routes
-app.use('/api/knowledge', knowledgeRoutes);
-app.use('/api/field-bindings', fieldBindingRoutes);
-app.use('/api/generate-code', codeGenerationRoutes);
-app.use('/api/files', filesRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// Serve static frontend files
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Catch-all handler for React Router
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 O9 Action Button Generator running on port ${PORT}`);
-  console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api`);
-  console.log(`📊 Health: http://localhost:${PORT}/api/health`);
-});
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const bodyParser = require('body-parser');
+const { backendName, assignDefaultWorkspace } = require('./storage');
+const { providerName } = require('./llm');
+const { resumeJobs, queueStats } = require('./services/jobQueue');
+const { resumeBatches } = require('./services/batchGeneration');
+const { authenticate, authStatus } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const { resolveWorkspace } = require('./middleware/workspace');
+
+// Import route modules
+const knowledgeRoutes = require('./routes/knowledge');
+const fieldBindingRoutes = require('./routes/fieldBindings');
+const codeGenerationRoutes = require('./routes/codeGeneration');
+const filesRoutes = require('./routes/files');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const auditRoutes = require('./routes/audit');
+const workspaceRoutes = require('./routes/workspaces');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Middleware
+// CORS_ALLOWED_ORIGINS (comma-separated) restricts cross-origin callers
+const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(allowedOrigins.length > 0 ? { origin: allowedOrigins } : undefined));
+app.use(bodyParser.json({ limit: '50mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+app.use(requestId);
+
+// API Routes
+// Everything except the workspace list works inside the workspace the
+// request selects (X-Workspace-Id header or ?workspace=)
+app.use('/api/workspaces', authenticate, workspaceRoutes);
+app.use('/api/knowledge', authenticate, resolveWorkspace, knowledgeRoutes);
+app.use('/api/field-bindings', authenticate, resolveWorkspace, fieldBindingRoutes);
+app.use('/api/generate-code', authenticate, resolveWorkspace, codeGenerationRoutes);
+app.use('/api/files', authenticate, resolveWorkspace, filesRoutes);
+app.use('/api/prompt-templates', authenticate, resolveWorkspace, promptTemplateRoutes);
+app.use('/api/audit', authenticate, resolveWorkspace, auditRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    storage: backendName,
+    llmProvider: providerName,
+    generationJobs: queueStats(),
+    authentication: authStatus()
+  });
+});
+
+// Serve static frontend files
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Catch-all handler for React Router
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  console.error('Global error handler:', err);
+  res.status(500).json({ 
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  });
+});
+
+// Read the auth configuration up front so missing or bad auth settings stop startup
+const auth = authStatus();
+
+app.listen(PORT, () => {
+  console.log(`🚀 O9 Action Button Generator running on port ${PORT}`);
+  console.log(`📱 Frontend: http://localhost:${PORT}`);
+  console.log(`🔗 API: http://localhost:${PORT}/api`);
+  console.log(`📊 Health: http://localhost:${PORT}/api/health`);
+  console.log(`🔐 Authentication: ${auth.enabled ? auth.methods.join(', ') : 'off'}`);
+
+  // Assign records from before workspaces to the default workspace, then pick
+  // up generation jobs and batches queued or interrupted before the last restart
+  assignDefaultWorkspace()
+    .catch(error => {
+      console.error('💥 Could not assign existing records to the default workspace:', error.message);
+    })
+    .then(() => {
+      resumeJobs().catch(error => {
+        console.error('💥 Could not resume generation jobs:', error.message);
+      });
+      resumeBatches().catch(error => {
+        console.error('💥 Could not resume generation batches:', error.message);
+      });
+    });
+});
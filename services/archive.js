@@ -0,0 +1,24 @@
+const archiver = require('archiver');
+
+// Write files ({ name, content }) to a writable stream as a zip, resolving
+// once the stream has been fully written
+async function writeZip(output, files) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  for (const file of files) {
+    archive.append(file.content, { name: file.name });
+  }
+
+  await archive.finalize();
+  await finished;
+}
+
+module.exports = {
+  writeZip
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { recordedBy } = require('../middleware/auth');
+const { csvCell } = require('./csv');
+
+// Append-only audit trail of mutating operations.
+//
+// Entries are only ever created; nothing in the application replaces or
+// deletes them. Each names the action and the entity it touched, the actor
+// and the request id, and keeps before/after snapshots of the entity with a
+// SHA-256 hash of each. Snapshots larger than AUDIT_SNAPSHOT_MAX_BYTES are
+// left out and only their hashes kept, so large generated modules do not
+// bloat the log. Each workspace has its own log.
+
+const SNAPSHOT_MAX_BYTES = parseInt(process.env.AUDIT_SNAPSHOT_MAX_BYTES || '32768');
+
+const SUMMARY_FIELDS = [
+  'id', 'timestamp', 'action', 'entityType', 'entityId', 'actorId', 'actorName', 'actorMethod',
+  'requestId', 'beforeHash', 'afterHash', 'snapshotOmitted', 'details'
+];
+
+// Snapshot (or null when too large) and hash of one side of a change.
+// Storage system properties (_rid, _etag, ...) are not part of the entity.
+function describe(document) {
+  if (document === undefined || document === null) {
+    return { snapshot: null, hash: null, omitted: false };
+  }
+
+  const entity = Object.fromEntries(Object.entries(document).filter(([key]) => !key.startsWith('_')));
+  const json = JSON.stringify(entity);
+  const fits = Buffer.byteLength(json) <= SNAPSHOT_MAX_BYTES;
+
+  return {
+    snapshot: fits ? entity : null,
+    hash: crypto.createHash('sha256').update(json).digest('hex'),
+    omitted: !fits
+  };
+}
+
+// Actor, request id and workspace of an Express request
+function auditContext(req) {
+  return { actor: recordedBy(req.user), requestId: req.id || null, workspace: req.workspace };
+}
+
+// Append an entry for an operation that has already happened. action is
+// the verb ('create', 'delete', ...) and is stored as entityType.action.
+// A failed write is logged rather than thrown, since the change itself
+// cannot be undone at that point.
+async function recordAudit({ actor = null, requestId = null, workspace }, { entityType, entityId, action, before, after, details }) {
+  const previous = describe(before);
+  const next = describe(after);
+
+  const entry = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    action: `${entityType}.${action}`,
+    entityType,
+    entityId: entityId ?? null,
+    actorId: actor ? actor.id : null,
+    actorName: actor ? actor.name : null,
+    actorMethod: actor ? actor.method : null,
+    requestId,
+    before: previous.snapshot,
+    after: next.snapshot,
+    beforeHash: previous.hash,
+    afterHash: next.hash,
+    snapshotOmitted: previous.omitted || next.omitted,
+    details: details || null
+  };
+
+  try {
+    await workspace.documents.auditLog.create(entry);
+    return entry;
+  } catch (error) {
+    console.error(`💥 Could not write audit entry ${entry.action} for ${entry.entityId}:`, error.message);
+    return null;
+  }
+}
+
+// Entry summaries (without snapshots), newest first. entityType, entityId,
+// action, requestId and actorId are exact matches; actor matches an actor id
+// or name; from and to bound the timestamp (ISO dates or date-times,
+// inclusive). Every filter runs in the storage query, so at most limit
+// entries are read per query.
+async function findAuditEntries(workspace, { entityType, entityId, action, requestId, actorId, actor, from, to, limit = 100 } = {}) {
+  const max = Math.min(Math.max(parseInt(limit) || 100, 1), 5000);
+
+  // A bare end date covers the whole day
+  const until = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+
+  const query = filter => workspace.documents.auditLog.find({
+    filter: { entityType, entityId, action, requestId, actorId, ...filter },
+    range: from || until ? { timestamp: { min: from || undefined, max: until || undefined } } : {},
+    fields: SUMMARY_FIELDS,
+    orderBy: 'timestamp',
+    limit: max
+  });
+
+  if (!actor) return query({});
+
+  // Entries matching the actor by id or by name, merged newest first
+  const byId = actorId === undefined || actorId === actor ? await query({ actorId: actor }) : [];
+  const byName = await query({ actorName: actor });
+  const matches = new Map();
+  for (const entry of [...byId, ...byName]) {
+    matches.set(entry.id, entry);
+  }
+  return [...matches.values()]
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0))
+    .slice(0, max);
+}
+
+async function getAuditEntry(workspace, id) {
+  return workspace.documents.auditLog.read(id);
+}
+
+// Summary entries as CSV, one row per entry
+function auditCsv(entries) {
+  const rows = entries.map(entry => SUMMARY_FIELDS.map(field => csvCell(entry[field])).join(','));
+  return [SUMMARY_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  auditContext,
+  recordAudit,
+  findAuditEntries,
+  getAuditEntry,
+  auditCsv
+};
@@ -0,0 +1,399 @@
+const { parse: parseCsv } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+const { documents, openWorkspace, DEFAULT_WORKSPACE } = require('../storage');
+const { GENERATION_MODES, findFieldBinding, generateWithBinding } = require('./generation');
+const { moduleFiles } = require('./testGenerator');
+const { writeZip } = require('./archive');
+const { csvCell } = require('./csv');
+const { validateFields } = require('./fieldSchema');
+
+// Batch generation from a manifest of rows (CSV or JSON).
+//
+// Each row names a project, action button type and business logic, plus
+// either a stored fieldBindingId or inline fields. Rows run through the
+// normal generation pipeline with bounded concurrency and each result is
+// saved as its own generatedCode record. The batch document lives in the
+// generationJobs container (type 'batch') and keeps per-row status, so an
+// interrupted batch resumes its unfinished rows on the next start. Rows run
+// in the workspace the batch was created in.
+
+const BATCH_TYPE = 'batch';
+const MAX_CONCURRENCY = Math.max(parseInt(process.env.BATCH_GENERATION_CONCURRENCY || '3') || 1, 1);
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS || '100');
+
+const ROW_FIELDS = ['projectName', 'actionButtonType', 'fieldBindingId', 'fields', 'businessLogic', 'mode', 'maxRepairAttempts', 'generateTests'];
+const SUMMARY_COLUMNS = ['row', 'projectName', 'actionButtonType', 'status', 'valid', 'attemptCount', 'codeId', 'projectId', 'file', 'error'];
+
+// Batches being worked on by this process
+const running = new Set();
+
+function manifestError(message, rowErrors) {
+  const error = new Error(message);
+  error.status = 400;
+  if (rowErrors) error.rows = rowErrors;
+  return error;
+}
+
+// Inline fields in a CSV cell: a JSON array, or "name:dataType:classification"
+// entries separated by semicolons, with an optional ":required" suffix
+function parseFieldsCell(value) {
+  const text = String(value).trim();
+  if (!text) return undefined;
+  if (text.startsWith('[')) return JSON.parse(text);
+
+  return text.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, dataType, classification, required] = entry.split(':').map(part => part.trim());
+    return { name, dataType, classification, required: required === 'required' };
+  });
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+// Rows from a manifest file or request body. JSON manifests may be an array
+// of rows or an object with a rows array.
+function parseManifest(content, format = 'json') {
+  if (format === 'csv') {
+    let records;
+    try {
+      records = parseCsv(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    } catch (error) {
+      throw manifestError(`Could not parse CSV manifest: ${error.message}`);
+    }
+
+    return records.map(record => {
+      const row = {};
+      for (const field of ROW_FIELDS) {
+        if (record[field] === undefined || record[field] === '') continue;
+        try {
+          row[field] = field === 'fields' ? parseFieldsCell(record[field])
+            : field === 'generateTests' ? parseBoolean(record[field])
+              : record[field];
+        } catch (error) {
+          row[field] = record[field];
+        }
+      }
+      return row;
+    });
+  }
+
+  let manifest = content;
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    try {
+      manifest = JSON.parse(content.toString('utf-8'));
+    } catch (error) {
+      throw manifestError(`Could not parse JSON manifest: ${error.message}`);
+    }
+  }
+  return Array.isArray(manifest) ? manifest : manifest?.rows;
+}
+
+// Check every row before anything is generated; returns the rows as stored on the batch
+function validateRows(rows, defaultMode) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw manifestError('Manifest must contain at least one row');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw manifestError(`Manifest has ${rows.length} rows; the limit is ${MAX_ROWS}`);
+  }
+
+  const errors = [];
+  const normalized = rows.map((row, index) => {
+    const problems = [];
+    if (!row || typeof row !== 'object') {
+      problems.push('Row must be an object');
+      row = {};
+    }
+
+    for (const field of ['projectName', 'actionButtonType']) {
+      if (!row[field]) problems.push(`Missing ${field}`);
+    }
+    if (row.mode !== undefined && !GENERATION_MODES.includes(row.mode)) {
+      problems.push(`mode must be one of: ${GENERATION_MODES.join(', ')}`);
+    }
+    if (!row.businessLogic && (row.mode || defaultMode) !== 'template') {
+      problems.push('Missing businessLogic');
+    }
+
+    if (!row.fieldBindingId && !row.fields) {
+      problems.push('Either fieldBindingId or fields is required');
+    }
+    if (row.fields !== undefined) {
+      if (!Array.isArray(row.fields) || row.fields.length === 0) {
+        problems.push('fields must be a non-empty array');
+      } else {
+        // The same checks as POST /api/field-bindings/validate
+        problems.push(...validateFields(row.fields));
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row: index + 1, errors: problems });
+    }
+
+    return {
+      index,
+      projectName: row.projectName,
+      actionButtonType: row.actionButtonType,
+      businessLogic: row.businessLogic || '',
+      mode: row.mode,
+      fieldBindingId: row.fieldBindingId || null,
+      fields: row.fieldBindingId ? null : row.fields,
+      maxRepairAttempts: row.maxRepairAttempts,
+      generateTests: row.generateTests,
+      status: 'pending',
+      codeId: null,
+      projectId: null,
+      valid: null,
+      attemptCount: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    };
+  });
+
+  if (errors.length > 0) {
+    throw manifestError(`Manifest has ${errors.length} invalid rows`, errors);
+  }
+  return normalized;
+}
+
+function countRows(rows) {
+  const counts = { total: rows.length, pending: 0, running: 0, succeeded: 0, failed: 0 };
+  for (const row of rows) counts[row.status]++;
+  return counts;
+}
+
+// Store a batch and start it; rows are validated up front
+async function createBatch(workspace, { name, rows, concurrency, mode, generateTests, maxRepairAttempts, createdBy = null, requestId = null }) {
+  if (mode !== undefined && !GENERATION_MODES.includes(mode)) {
+    throw manifestError(`mode must be one of: ${GENERATION_MODES.join(', ')}`);
+  }
+  const batchRows = validateRows(rows, mode);
+  const now = new Date().toISOString();
+
+  const batch = {
+    id: uuidv4(),
+    type: BATCH_TYPE,
+    workspaceId: workspace.id,
+    name: name || `Batch of ${batchRows.length}`,
+    status: 'queued',
+    concurrency: Math.min(Math.max(parseInt(concurrency) || MAX_CONCURRENCY, 1), MAX_CONCURRENCY),
+    options: { mode, generateTests: Boolean(generateTests), maxRepairAttempts },
+    rows: batchRows,
+    counts: countRows(batchRows),
+    createdBy,
+    requestId,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  await workspace.documents.generationJobs.create(batch);
+  console.log(`📦 Created batch ${batch.id} with ${batchRows.length} rows`);
+
+  startBatch(batch);
+  return batch;
+}
+
+function startBatch(batch) {
+  if (running.has(batch.id)) return;
+  running.add(batch.id);
+
+  runBatch(batch)
+    .catch(error => console.error(`💥 Batch ${batch.id} stopped:`, error.message))
+    .finally(() => running.delete(batch.id));
+}
+
+async function runBatch(batch) {
+  const workspace = openWorkspace(batch.workspaceId || DEFAULT_WORKSPACE);
+
+  // Row updates from concurrent workers are written one at a time
+  let writes = Promise.resolve();
+  const save = (changes = {}) => {
+    Object.assign(batch, changes, { counts: countRows(batch.rows), updatedAt: new Date().toISOString() });
+    writes = writes
+      .then(() => workspace.documents.generationJobs.replace(batch.id, BATCH_TYPE, batch))
+      .catch(error => console.warn(`⚠️ Could not update batch ${batch.id}:`, error.message));
+    return writes;
+  };
+
+  await save({ status: 'running', startedAt: batch.startedAt || new Date().toISOString() });
+
+  // Rollouts usually share a binding, so each one is looked up once
+  const bindings = new Map();
+  const bindingFor = (row) => {
+    if (!row.fieldBindingId) {
+      return Promise.resolve({
+        id: null,
+        name: `${row.projectName} (inline)`,
+        actionButtonType: row.actionButtonType,
+        fields: row.fields
+      });
+    }
+    const key = `${row.actionButtonType}:${row.fieldBindingId}`;
+    if (!bindings.has(key)) {
+      bindings.set(key, findFieldBinding(workspace, row.fieldBindingId, row.actionButtonType));
+    }
+    return bindings.get(key);
+  };
+
+  const queue = batch.rows.filter(row => row.status === 'pending');
+
+  const worker = async () => {
+    let row;
+    while ((row = queue.shift())) {
+      Object.assign(row, { status: 'running', startedAt: new Date().toISOString(), error: null });
+      save();
+
+      try {
+        const fieldBinding = await bindingFor(row);
+        if (!fieldBinding) {
+          throw new Error('Field binding configuration not found');
+        }
+
+        const result = await generateWithBinding({
+          projectName: row.projectName,
+          actionButtonType: row.actionButtonType,
+          businessLogic: row.businessLogic,
+          mode: row.mode ?? batch.options.mode,
+          maxRepairAttempts: row.maxRepairAttempts ?? batch.options.maxRepairAttempts,
+          generateTests: row.generateTests ?? batch.options.generateTests
+        }, fieldBinding, {
+          workspace,
+          batchId: batch.id,
+          createdBy: batch.createdBy || null,
+          requestId: batch.requestId || null
+        });
+
+        Object.assign(row, {
+          status: 'succeeded',
+          codeId: result.codeId,
+          projectId: result.projectId,
+          valid: result.validation.valid,
+          attemptCount: result.attemptCount
+        });
+      } catch (error) {
+        console.error(`❌ Batch ${batch.id} row ${row.index + 1} failed:`, error.message);
+        Object.assign(row, { status: 'failed', error: error.message });
+      }
+
+      row.finishedAt = new Date().toISOString();
+      save();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(batch.concurrency, queue.length) }, worker));
+
+  await save({ status: 'completed', finishedAt: new Date().toISOString() });
+  console.log(`✅ Batch ${batch.id} completed: ${batch.counts.succeeded} succeeded, ${batch.counts.failed} failed`);
+}
+
+// Restart batches interrupted by a restart, in every workspace; rows that
+// were mid-generation run again
+async function resumeBatches() {
+  const batches = [];
+  for (const status of ['queued', 'running']) {
+    batches.push(...await documents.generationJobs.find({ filter: { type: BATCH_TYPE, status } }));
+  }
+
+  for (const batch of batches) {
+    for (const row of batch.rows) {
+      if (row.status === 'running') row.status = 'pending';
+    }
+    startBatch(batch);
+  }
+
+  if (batches.length > 0) {
+    console.log(`🔁 Resuming ${batches.length} generation batches`);
+  }
+  return batches.length;
+}
+
+async function getBatch(workspace, batchId) {
+  return workspace.documents.generationJobs.read(batchId, BATCH_TYPE);
+}
+
+async function listBatches(workspace, { limit = 50 } = {}) {
+  return workspace.documents.generationJobs.find({
+    filter: { type: BATCH_TYPE },
+    fields: ['id', 'name', 'status', 'counts', 'createdBy', 'createdAt', 'startedAt', 'finishedAt'],
+    orderBy: 'createdAt',
+    limit
+  });
+}
+
+// Zip of every generated module (with its test file, when there is one) in a
+// folder per row, plus summary.json and summary.csv
+async function writeBatchArchive(workspace, batch, output) {
+  const files = [];
+  const folders = new Set();
+  const summary = [];
+
+  for (const row of batch.rows) {
+    const entry = {
+      row: row.index + 1,
+      projectName: row.projectName,
+      actionButtonType: row.actionButtonType,
+      status: row.status,
+      valid: row.valid,
+      attemptCount: row.attemptCount,
+      codeId: row.codeId,
+      projectId: row.projectId,
+      file: null,
+      error: row.error
+    };
+
+    const record = row.status === 'succeeded'
+      ? await workspace.documents.generatedCode.read(row.codeId, row.projectId)
+      : null;
+
+    if (record) {
+      const { moduleFileName } = moduleFiles(record.projectName);
+      let folder = moduleFileName.replace(/\.js$/, '') || `row${entry.row}`;
+      if (folders.has(folder)) folder = `${folder}-${entry.row}`;
+      folders.add(folder);
+
+      files.push({ name: `${folder}/${moduleFileName}`, content: record.generatedCode });
+      if (record.testCode) {
+        files.push({ name: `${folder}/${record.testFileName}`, content: record.testCode });
+      }
+      entry.file = `${folder}/${moduleFileName}`;
+    } else if (row.status === 'succeeded') {
+      entry.error = 'Generated code record not found';
+    }
+
+    summary.push(entry);
+  }
+
+  const report = {
+    batchId: batch.id,
+    name: batch.name,
+    status: batch.status,
+    counts: batch.counts,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    rows: summary
+  };
+  const csv = [
+    SUMMARY_COLUMNS.join(','),
+    ...summary.map(entry => SUMMARY_COLUMNS.map(column => csvCell(entry[column])).join(','))
+  ].join('\n');
+
+  files.push({ name: 'summary.json', content: JSON.stringify(report, null, 2) });
+  files.push({ name: 'summary.csv', content: `${csv}\n` });
+
+  await writeZip(output, files);
+}
+
+module.exports = {
+  parseManifest,
+  createBatch,
+  resumeBatches,
+  getBatch,
+  listBatches,
+  writeBatchArchive
+};
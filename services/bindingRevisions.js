@@ -0,0 +1,132 @@
+// Revision history for field bindings and the generated modules they affect.
+//
+// A field binding document is its current head and carries a revision
+// number. Creating, cloning or updating a binding also writes an immutable
+// revision document, with an id derived from the binding id and revision
+// number as for code revisions. Generated code records note the binding
+// revision they were built from (fieldBindingRevision), so modules built
+// before a change to the binding's fields can be found and regenerated.
+
+// Fields copied from the binding into each revision
+const SNAPSHOT_FIELDS = ['name', 'actionButtonType', 'description', 'fields', 'isActive'];
+
+const MODULE_SUMMARY_FIELDS = [
+  'id', 'projectId', 'projectName', 'actionButtonType', 'version', 'revision', 'status',
+  'generatedAt', 'fieldBindingId', 'fieldBindingRevision', 'fieldBinding'
+];
+
+function revisionId(fieldBindingId, revision) {
+  return `${fieldBindingId}-r${revision}`;
+}
+
+function snapshot(binding) {
+  const fields = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (binding[field] !== undefined) fields[field] = binding[field];
+  }
+  return fields;
+}
+
+// Bindings created before revisions existed are at revision 1
+function currentRevision(binding) {
+  return binding.revision ?? 1;
+}
+
+// Bindings created before revisions existed get their current state saved as
+// revision 1 the first time they change
+async function backfillHead(workspace, binding) {
+  const legacy = {
+    id: revisionId(binding.id, 1),
+    fieldBindingId: binding.id,
+    revision: 1,
+    createdAt: binding.updatedAt || binding.createdAt,
+    author: binding.updatedBy || binding.createdBy || null,
+    ...snapshot(binding)
+  };
+
+  try {
+    await workspace.documents.fieldBindingRevisions.create(legacy);
+  } catch (error) {
+    if (error.code !== 409) throw error;
+  }
+  return 1;
+}
+
+// Save the next state of a binding as a new revision and stamp it with its
+// number. previous is the binding being replaced (null for a new binding).
+// An update that leaves every snapshot field unchanged keeps the current
+// revision.
+async function createBindingRevision(workspace, previous, next, { author = null } = {}) {
+  let previousRevision = 0;
+  if (previous) {
+    if (JSON.stringify(snapshot(previous)) === JSON.stringify(snapshot(next))) {
+      return { ...next, revision: currentRevision(previous) };
+    }
+    previousRevision = previous.revision === undefined ? await backfillHead(workspace, previous) : previous.revision;
+  }
+
+  const document = {
+    id: revisionId(next.id, previousRevision + 1),
+    fieldBindingId: next.id,
+    revision: previousRevision + 1,
+    createdAt: new Date().toISOString(),
+    author,
+    ...snapshot(next)
+  };
+
+  await workspace.documents.fieldBindingRevisions.create(document);
+
+  return { ...next, revision: document.revision };
+}
+
+// Revisions of a binding, newest first
+async function listBindingRevisions(workspace, fieldBindingId) {
+  return workspace.documents.fieldBindingRevisions.find({
+    filter: { fieldBindingId },
+    orderBy: 'revision'
+  });
+}
+
+async function getBindingRevision(workspace, fieldBindingId, revision) {
+  const number = parseInt(revision);
+  if (!Number.isInteger(number) || number < 1) return null;
+  return workspace.documents.fieldBindingRevisions.read(revisionId(fieldBindingId, number), fieldBindingId);
+}
+
+// A module is stale when it was built from an older revision of its binding
+// and its fields differ from the binding's current fields. Records generated
+// before binding revisions existed are compared by their fields alone.
+function isStale(record, binding) {
+  const builtFrom = record.fieldBindingRevision;
+  if (builtFrom !== undefined && builtFrom !== null && builtFrom >= currentRevision(binding)) {
+    return false;
+  }
+  return JSON.stringify(record.fieldBinding?.fields ?? null) !== JSON.stringify(binding.fields ?? null);
+}
+
+// Generated modules built from a binding, each flagged stale or current;
+// only the stale ones unless all is set
+async function findBindingModules(workspace, binding, { all = false } = {}) {
+  const records = await workspace.documents.generatedCode.find({
+    filter: { fieldBindingId: binding.id },
+    fields: MODULE_SUMMARY_FIELDS,
+    orderBy: 'generatedAt'
+  });
+
+  return records
+    .map(({ fieldBinding, ...record }) => ({
+      ...record,
+      fieldBindingRevision: record.fieldBindingRevision ?? null,
+      stale: isStale({ ...record, fieldBinding }, binding)
+    }))
+    .filter(record => all || record.stale);
+}
+
+module.exports = {
+  currentRevision,
+  createBindingRevision,
+  listBindingRevisions,
+  getBindingRevision,
+  isStale,
+  findBindingModules
+};
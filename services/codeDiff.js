@@ -0,0 +1,143 @@
+const Diff = require('diff');
+
+// Diffs between two states of a generated module: the code as a unified
+// patch plus side-by-side rows, the business logic, and field-level changes
+// to the binding the module was generated from.
+
+const FIELD_PROPERTIES = ['dataType', 'classification', 'required', 'description'];
+
+// Split a jsdiff change value into lines, dropping the trailing empty entry
+function changeLines(value) {
+  const lines = value.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line-by-line diff with old/new line numbers
+function diffLines(oldText = '', newText = '') {
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  for (const change of Diff.diffLines(oldText || '', newText || '')) {
+    for (const text of changeLines(change.value)) {
+      if (change.added) {
+        lines.push({ type: 'added', oldLine: null, newLine: newLine++, text });
+      } else if (change.removed) {
+        lines.push({ type: 'removed', oldLine: oldLine++, newLine: null, text });
+      } else {
+        lines.push({ type: 'context', oldLine: oldLine++, newLine: newLine++, text });
+      }
+    }
+  }
+
+  return lines;
+}
+
+// Pair removed and added runs into rows for a side-by-side view
+function sideBySide(lines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      const left = removed[i];
+      const right = added[i];
+      rows.push({
+        type: left && right ? 'changed' : left ? 'removed' : 'added',
+        left: left ? { line: left.oldLine, text: left.text } : null,
+        right: right ? { line: right.newLine, text: right.text } : null
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'removed') {
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({
+        type: 'context',
+        left: { line: line.oldLine, text: line.text },
+        right: { line: line.newLine, text: line.text }
+      });
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+// Unified patch, stats and side-by-side rows for two texts
+function diffText(oldText, newText, { fileName = 'module.js', fromLabel = 'from', toLabel = 'to' } = {}) {
+  const lines = diffLines(oldText, newText);
+
+  return {
+    changed: (oldText || '') !== (newText || ''),
+    stats: {
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length
+    },
+    unified: Diff.createTwoFilesPatch(fileName, fileName, oldText || '', newText || '', fromLabel, toLabel),
+    rows: sideBySide(lines)
+  };
+}
+
+// Added, removed and changed fields between two bindings, matched by name
+function diffFieldBinding(oldBinding, newBinding) {
+  const oldFields = new Map((oldBinding?.fields || []).filter(f => f && f.name).map(f => [f.name, f]));
+  const newFields = new Map((newBinding?.fields || []).filter(f => f && f.name).map(f => [f.name, f]));
+
+  const added = [...newFields.keys()].filter(name => !oldFields.has(name));
+  const removed = [...oldFields.keys()].filter(name => !newFields.has(name));
+  const changed = [];
+
+  for (const [name, oldField] of oldFields) {
+    const newField = newFields.get(name);
+    if (!newField) continue;
+
+    const properties = new Set([...FIELD_PROPERTIES, ...Object.keys(oldField), ...Object.keys(newField)]);
+    const changes = {};
+    for (const property of properties) {
+      if (property === 'name') continue;
+      if (JSON.stringify(oldField[property]) !== JSON.stringify(newField[property])) {
+        changes[property] = { from: oldField[property], to: newField[property] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name, changes });
+    }
+  }
+
+  return {
+    changed: added.length + removed.length + changed.length > 0 || oldBinding?.id !== newBinding?.id,
+    fieldBindingId: { from: oldBinding?.id ?? null, to: newBinding?.id ?? null },
+    fields: { added, removed, changed }
+  };
+}
+
+// Diff two revisions (or revision-shaped objects) of a generated module
+function diffRevisions(from, to, { fileName } = {}) {
+  const fromLabel = from.label || `revision ${from.revision}`;
+  const toLabel = to.label || `revision ${to.revision}`;
+
+  return {
+    code: diffText(from.generatedCode, to.generatedCode, { fileName, fromLabel, toLabel }),
+    businessLogic: diffText(from.businessLogic, to.businessLogic, { fileName: 'businessLogic.txt', fromLabel, toLabel }),
+    fieldBinding: diffFieldBinding(from.fieldBinding, to.fieldBinding)
+  };
+}
+
+module.exports = {
+  diffLines,
+  sideBySide,
+  diffText,
+  diffFieldBinding,
+  diffRevisions
+};
@@ -0,0 +1,128 @@
+// Immutable revision history for generated code.
+//
+// The generatedCode record is the current head; every generation,
+// regeneration and restore also writes a revision document that is never
+// modified afterwards. Revision ids are derived from the code id and
+// revision number, so two concurrent writers cannot both claim a number.
+
+// Fields copied from the head record into each revision
+const SNAPSHOT_FIELDS = [
+  'projectName',
+  'actionButtonType',
+  'businessLogic',
+  'fieldBindingId',
+  'fieldBindingRevision',
+  'fieldBinding',
+  'generatedCode',
+  'validation',
+  'attempts',
+  'testCode',
+  'testFileName',
+  'examples',
+  'retrievalMethod',
+  'referenceDocuments',
+  'generationMode',
+  'promptTemplate',
+  'version'
+];
+
+function revisionId(codeId, revision) {
+  return `${codeId}-r${revision}`;
+}
+
+function snapshot(record) {
+  const fields = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (record[field] !== undefined) fields[field] = record[field];
+  }
+  return fields;
+}
+
+// Records created before revisions existed get their current state saved as
+// revision 1 the first time a new revision is written
+async function backfillHead(workspace, record) {
+  const legacy = {
+    id: revisionId(record.id, 1),
+    codeId: record.id,
+    projectId: record.projectId,
+    revision: 1,
+    source: record.status || 'generated',
+    modifications: null,
+    createdAt: record.generatedAt,
+    ...snapshot(record)
+  };
+
+  try {
+    await workspace.documents.codeRevisions.create(legacy);
+  } catch (error) {
+    if (error.code !== 409) throw error;
+  }
+  return 1;
+}
+
+// Save the next head record as a new revision and stamp it with its number.
+// previous is the head being replaced (null for a first generation); source
+// is 'generated', 'regenerated', 'restored' or 'manual' (edits saved from the
+// editor, which record their author).
+async function createRevision(workspace, previous, next, { source, modifications = null, restoredFrom, author } = {}) {
+  let previousRevision = 0;
+  if (previous) {
+    previousRevision = previous.revision === undefined ? await backfillHead(workspace, previous) : previous.revision;
+  }
+
+  const document = {
+    id: revisionId(next.id, previousRevision + 1),
+    codeId: next.id,
+    projectId: next.projectId,
+    revision: previousRevision + 1,
+    source,
+    modifications,
+    createdAt: new Date().toISOString(),
+    ...snapshot(next)
+  };
+
+  if (restoredFrom !== undefined) {
+    document.restoredFrom = restoredFrom;
+  }
+  if (author !== undefined) {
+    document.author = author;
+  }
+
+  await workspace.documents.codeRevisions.create(document);
+
+  return {
+    ...next,
+    revision: document.revision,
+    revisionSource: source
+  };
+}
+
+// Revision summaries, newest first
+async function listRevisions(workspace, codeId) {
+  return workspace.documents.codeRevisions.find({
+    filter: { codeId },
+    fields: ['id', 'codeId', 'projectId', 'revision', 'version', 'source', 'modifications', 'restoredFrom', 'author', 'createdAt'],
+    orderBy: 'revision'
+  });
+}
+
+// Look up a revision by number ("3") or version string ("1.0.2")
+async function getRevision(workspace, codeId, ref) {
+  if (/^\d+$/.test(String(ref))) {
+    return workspace.documents.codeRevisions.read(revisionId(codeId, parseInt(ref)), codeId);
+  }
+
+  const matches = await workspace.documents.codeRevisions.find({
+    filter: { codeId, version: String(ref) },
+    orderBy: 'revision',
+    limit: 1
+  });
+  return matches[0] || null;
+}
+
+module.exports = {
+  snapshot,
+  createRevision,
+  listRevisions,
+  getRevision
+};
@@ -0,0 +1,237 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+// Static checks for generated o9 Action Button modules.
+//
+// Errors mean the module breaks the o9 contract (does not parse, no
+// define wrapper, no exported ActionButtonCall...). Warnings flag things a
+// reviewer should look at but that o9 would still load.
+
+// Strip markdown fences and surrounding chatter from a model response
+function extractCode(output) {
+  const text = String(output || '');
+  const fences = [...text.matchAll(/```([a-zA-Z]*)[^\n]*\n([\s\S]*?)```/g)];
+
+  if (fences.length === 0) {
+    return text.trim();
+  }
+
+  const jsFence = fences.find(match => ['javascript', 'js'].includes(match[1].toLowerCase()));
+  return (jsFence || fences[0])[2].trim();
+}
+
+function expectedModuleName(projectName) {
+  return `o9.${String(projectName || '').replace(/[^a-zA-Z0-9]/g, '')}`;
+}
+
+function isFunction(node) {
+  return node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+}
+
+function propertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Literal') return String(node.value);
+  return null;
+}
+
+// Find the top-level define('o9.X', [...], function(){...}) call
+function findDefineCall(ast) {
+  for (const statement of ast.body) {
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    if (expression && expression.type === 'CallExpression' &&
+        expression.callee.type === 'Identifier' && expression.callee.name === 'define') {
+      return expression;
+    }
+  }
+  return null;
+}
+
+// Collect variables declared with a function initializer inside the factory
+function collectFunctionBindings(factory) {
+  const bindings = {};
+  walk.simple(factory.body, {
+    VariableDeclarator(node) {
+      if (node.id.type === 'Identifier' && isFunction(node.init)) {
+        bindings[node.id.name] = node.init;
+      }
+    },
+    FunctionDeclaration(node) {
+      if (node.id) bindings[node.id.name] = node;
+    }
+  });
+  return bindings;
+}
+
+// Find the object literal the factory returns
+function findExports(factory) {
+  if (factory.body.type === 'ObjectExpression') return factory.body;
+
+  let exported = null;
+  for (const statement of factory.body.body || []) {
+    if (statement.type === 'ReturnStatement' && statement.argument && statement.argument.type === 'ObjectExpression') {
+      exported = statement.argument;
+    }
+  }
+  return exported;
+}
+
+function parsesParams(fn) {
+  const paramName = fn.params[0] && fn.params[0].type === 'Identifier' ? fn.params[0].name : null;
+  let found = false;
+
+  walk.simple(fn.body, {
+    CallExpression(node) {
+      const callee = node.callee;
+      if (callee.type === 'MemberExpression' && propertyName(callee.object) === 'JSON' &&
+          propertyName(callee.property) === 'parse' && node.arguments[0] &&
+          node.arguments[0].type === 'Identifier' && node.arguments[0].name === paramName) {
+        found = true;
+      }
+    }
+  });
+
+  return found;
+}
+
+// Names read as properties anywhere in the module (x.Name or x['Name'])
+function collectPropertyReferences(ast) {
+  const references = new Set();
+  walk.simple(ast, {
+    MemberExpression(node) {
+      const name = node.computed
+        ? (node.property.type === 'Literal' ? String(node.property.value) : null)
+        : propertyName(node.property);
+      if (name) references.add(name);
+    }
+  });
+  return references;
+}
+
+// Validate raw model output against the o9 Action Button contract.
+// Returns the extracted code along with errors/warnings carrying line numbers.
+function validateGeneratedCode(output, { projectName, fields = [] } = {}) {
+  const code = extractCode(output);
+  const errors = [];
+  const warnings = [];
+
+  const addIssue = (list, rule, message, node) => {
+    list.push({
+      rule,
+      message,
+      line: node && node.loc ? node.loc.start.line : null,
+      column: node && node.loc ? node.loc.start.column + 1 : null
+    });
+  };
+
+  const result = () => ({
+    valid: errors.length === 0,
+    code,
+    errors,
+    warnings,
+    validatedAt: new Date().toISOString()
+  });
+
+  if (code !== String(output || '').trim()) {
+    addIssue(warnings, 'markdown-fence', 'Model output was wrapped in markdown; the code block was extracted');
+  }
+
+  let ast;
+  try {
+    ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch (error) {
+    errors.push({
+      rule: 'syntax',
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc ? error.loc.line : null,
+      column: error.loc ? error.loc.column + 1 : null
+    });
+    return result();
+  }
+
+  // define('o9.<Module>', [...], function(){...}) wrapper
+  const defineCall = findDefineCall(ast);
+  if (!defineCall) {
+    addIssue(errors, 'define-wrapper', "Module is not wrapped in define('o9.<Module>', [...], function(){...})");
+    return result();
+  }
+
+  const [nameArg, depsArg, factory] = defineCall.arguments;
+
+  if (!nameArg || nameArg.type !== 'Literal' || typeof nameArg.value !== 'string') {
+    addIssue(errors, 'define-wrapper', 'define() must be given the module name as its first argument', defineCall);
+  } else if (!/^o9\.[A-Za-z0-9_]+$/.test(nameArg.value)) {
+    addIssue(errors, 'module-name', `Module name '${nameArg.value}' must have the form o9.<Module>`, nameArg);
+  } else if (projectName && nameArg.value !== expectedModuleName(projectName)) {
+    addIssue(errors, 'module-name', `Module name '${nameArg.value}' does not match project (expected '${expectedModuleName(projectName)}')`, nameArg);
+  }
+
+  if (!depsArg || depsArg.type !== 'ArrayExpression') {
+    addIssue(errors, 'define-wrapper', 'define() must be given a dependency array as its second argument', defineCall);
+  } else {
+    const deps = depsArg.elements.map(element => element && element.type === 'Literal' ? element.value : null);
+    for (const dependency of ['o9/data/query', 'o9/data/cellset']) {
+      if (!deps.includes(dependency)) {
+        addIssue(warnings, 'dependencies', `Dependency '${dependency}' is not declared`, depsArg);
+      }
+    }
+  }
+
+  if (!isFunction(factory)) {
+    addIssue(errors, 'define-wrapper', 'define() must be given a factory function as its third argument', defineCall);
+    return result();
+  }
+
+  // Exported ActionButtonCall
+  const exported = findExports(factory);
+  const exportProperty = exported && exported.properties.find(p => propertyName(p.key) === 'ActionButtonCall');
+
+  if (!exportProperty) {
+    addIssue(errors, 'action-button-call', 'Factory does not return an object exporting ActionButtonCall', exported || factory);
+  } else {
+    const bindings = collectFunctionBindings(factory);
+    const implementation = isFunction(exportProperty.value)
+      ? exportProperty.value
+      : bindings[propertyName(exportProperty.value)];
+
+    if (!implementation) {
+      addIssue(errors, 'action-button-call', 'ActionButtonCall is exported but is not a function defined in the module', exportProperty);
+    } else if (implementation.params.length === 0) {
+      addIssue(errors, 'o9-params', 'ActionButtonCall must accept the o9Params argument', implementation);
+    } else if (!parsesParams(implementation)) {
+      addIssue(errors, 'o9-params', 'ActionButtonCall does not parse its o9Params argument with JSON.parse', implementation);
+    }
+  }
+
+  // Every field binding is referenced
+  const references = collectPropertyReferences(ast);
+  for (const field of fields) {
+    if (field && field.name && !references.has(field.name)) {
+      addIssue(warnings, 'field-reference', `Field binding '${field.name}' is never referenced`);
+    }
+  }
+
+  // Attribute paths and measures from the o9 model metadata are used as given
+  for (const field of fields) {
+    if (!field || !field.name) continue;
+    if (field.attributePath && !code.includes(field.attributePath)) {
+      addIssue(warnings, 'model-metadata', `Field '${field.name}' should be scoped on ${field.attributePath}, which the module never uses`);
+    }
+    if (field.measure && !code.includes(`[${field.measure}]`)) {
+      addIssue(warnings, 'model-metadata', `Field '${field.name}' should write measure [${field.measure}], which the module never uses`);
+    }
+  }
+
+  return result();
+}
+
+module.exports = {
+  extractCode,
+  expectedModuleName,
+  isFunction,
+  propertyName,
+  findDefineCall,
+  findExports,
+  collectFunctionBindings,
+  validateGeneratedCode
+};
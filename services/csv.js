@@ -0,0 +1,12 @@
+// One CSV cell. Objects are written as JSON. Cells starting with = + - @ tab
+// or carriage return get a leading ' so spreadsheets do not run them as
+// formulas, and cells holding quotes, commas or line breaks are quoted.
+function csvCell(value) {
+  const raw = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  csvCell
+};
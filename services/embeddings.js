@@ -0,0 +1,152 @@
+const { providerName, llmClient } = require('../llm');
+
+// Chunking and embedding of knowledge base text for semantic retrieval.
+//
+// Chunk vectors are stored in the knowledgeEmbeddings container, one document
+// per chunk keyed by knowledge item and chunk index, so knowledge items stay
+// well below the document size limit and listing them does not load vectors.
+// The item itself keeps a summary: { provider, chunkSize, embeddedAt,
+// chunkCount }. Items embedded before this kept their chunks inline, which
+// are still read until the item is embedded again.
+
+const CHUNK_SIZE = parseInt(process.env.EMBEDDING_CHUNK_SIZE || '1500');
+const CHUNK_OVERLAP = parseInt(process.env.EMBEDDING_CHUNK_OVERLAP || '200');
+const MAX_CHUNKS = parseInt(process.env.EMBEDDING_MAX_CHUNKS || '40');
+
+const TEXT_FILE_TYPES = ['application/javascript', 'text/javascript', 'text/markdown', 'text/plain'];
+const TEXT_EXTENSIONS = ['.js', '.md', '.txt'];
+
+// Knowledge items whose blob content is plain text
+function isTextItem(item) {
+  const fileName = (item.fileName || '').toLowerCase();
+  return TEXT_FILE_TYPES.includes(item.fileType) || TEXT_EXTENSIONS.some(ext => fileName.endsWith(ext));
+}
+
+// JavaScript examples usable as reference modules for generation
+function isJavaScriptItem(item) {
+  return ['application/javascript', 'text/javascript'].includes(item.fileType) ||
+    (item.fileName || '').toLowerCase().endsWith('.js');
+}
+
+// Split text into overlapping chunks, breaking on line boundaries where possible
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length && chunks.length < MAX_CHUNKS) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const lineBreak = text.lastIndexOf('\n', end);
+      if (lineBreak > start + size / 2) end = lineBreak + 1;
+    }
+
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Chunk and embed text; returns the chunks with their vectors
+async function embedText(text) {
+  const chunks = chunkText(text);
+  const embedded = [];
+
+  for (const chunk of chunks) {
+    embedded.push({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      vector: await llmClient.generateEmbedding(chunk.text)
+    });
+  }
+
+  return {
+    provider: providerName,
+    chunkSize: CHUNK_SIZE,
+    embeddedAt: new Date().toISOString(),
+    chunks: embedded
+  };
+}
+
+function chunkId(knowledgeId, index) {
+  return `${knowledgeId}-c${index}`;
+}
+
+// Stored chunks of a knowledge item, in order
+async function loadEmbeddings(workspace, item) {
+  if (Array.isArray(item.embeddings?.chunks)) return item.embeddings.chunks;
+
+  const chunks = await workspace.documents.knowledgeEmbeddings.find({ filter: { knowledgeId: item.id } });
+  return chunks.sort((a, b) => a.index - b.index);
+}
+
+async function deleteEmbeddings(workspace, knowledgeId) {
+  const chunks = await workspace.documents.knowledgeEmbeddings.find({
+    filter: { knowledgeId },
+    fields: ['id']
+  });
+  for (const chunk of chunks) {
+    await workspace.documents.knowledgeEmbeddings.delete(chunk.id, knowledgeId);
+  }
+}
+
+// Replace the stored chunks of a knowledge item with the result of embedText;
+// returns the summary kept on the item
+async function saveEmbeddings(workspace, knowledgeId, embedding) {
+  await deleteEmbeddings(workspace, knowledgeId);
+
+  for (const chunk of embedding.chunks) {
+    await workspace.documents.knowledgeEmbeddings.create({
+      id: chunkId(knowledgeId, chunk.index),
+      knowledgeId,
+      provider: embedding.provider,
+      ...chunk
+    });
+  }
+
+  return {
+    provider: embedding.provider,
+    chunkSize: embedding.chunkSize,
+    embeddedAt: embedding.embeddedAt,
+    chunkCount: embedding.chunks.length
+  };
+}
+
+// Number of embedded chunks of an item, stored or inline
+function embeddedChunkCount(item) {
+  return item.embeddings?.chunkCount ?? item.embeddings?.chunks?.length ?? 0;
+}
+
+// Best chunk similarity between a query vector and an item's chunks
+function scoreChunks(queryVector, chunks) {
+  return chunks.reduce((best, chunk) => Math.max(best, cosineSimilarity(queryVector, chunk.vector)), -1);
+}
+
+module.exports = {
+  isTextItem,
+  isJavaScriptItem,
+  chunkText,
+  cosineSimilarity,
+  embedText,
+  loadEmbeddings,
+  saveEmbeddings,
+  deleteEmbeddings,
+  embeddedChunkCount,
+  scoreChunks
+};
@@ -0,0 +1,232 @@
+// Field binding field schema and o9 model metadata.
+//
+// Every field has a name, dataType and classification (and optionally
+// required and description). Fields may also describe where they live in
+// the o9 model, so generated scope statements and assignments use real names
+// instead of ones guessed from the field name:
+//   attributePath  dimension attribute the field filters on, e.g. [Item].[Item]
+//   measure        measure a measure field writes to, e.g. Consensus Fcst
+//   grain          attribute paths the measure is stored at
+//   defaultValue   value used when the field is left empty
+//   allowedValues  the only values the field accepts
+//   multiselect    whether several members can be selected (dataType array)
+//   dateFormat     format of date values, e.g. YYYY-MM-DD
+
+const DATA_TYPES = ['string', 'number', 'boolean', 'date', 'array'];
+const CLASSIFICATIONS = ['dimension', 'measure', 'parameter'];
+
+const ATTRIBUTE_PATH_PATTERN = /^\[[^[\]]+\]\.\[[^[\]]+\]$/;
+const DATE_FORMAT_PATTERN = /^(YYYY|MM|DD|HH|mm|ss|[-/.: T])+$/;
+const DATE_TOKEN_PATTERN = /YYYY|MM|DD|HH|mm|ss/g;
+
+const DATE_TOKENS = { YYYY: '\\d{4}', MM: '\\d{2}', DD: '\\d{2}', HH: '\\d{2}', mm: '\\d{2}', ss: '\\d{2}' };
+
+// Whether a dateFormat has YYYY, MM and DD once each, HH, mm and ss at most
+// once, and nothing else but separators
+function isDateFormat(format) {
+  if (typeof format !== 'string' || !DATE_FORMAT_PATTERN.test(format)) return false;
+  const tokens = format.match(DATE_TOKEN_PATTERN) || [];
+  return new Set(tokens).size === tokens.length && ['YYYY', 'MM', 'DD'].every(token => tokens.includes(token));
+}
+
+// Pattern matching values written in a dateFormat; null when the format
+// itself is not valid
+function dateFormatRegex(format) {
+  if (!isDateFormat(format)) return null;
+  const source = format.replace(/YYYY|MM|DD|HH|mm|ss|[-/.: T]/g, token => DATE_TOKENS[token] || (token === 'T' ? token : `\\${token}`));
+  return new RegExp(`^${source}$`);
+}
+
+// Write an ISO date (YYYY-MM-DD) in a dateFormat; times are midnight
+function formatDate(format, isoDate) {
+  const [year, month, day] = isoDate.split('-');
+  const parts = { YYYY: year, MM: month, DD: day, HH: '00', mm: '00', ss: '00' };
+  return format.replace(DATE_TOKEN_PATTERN, token => parts[token]);
+}
+
+// Whether a single value fits the field's dataType; array fields hold
+// strings or numbers
+function valueMatches(field, value) {
+  switch (field.dataType) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date': {
+      const pattern = field.dateFormat ? dateFormatRegex(field.dateFormat) : null;
+      return typeof value === 'string' && (!pattern || pattern.test(value));
+    }
+    case 'array':
+      return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    default:
+      return typeof value === 'string';
+  }
+}
+
+function describeValue(value) {
+  return JSON.stringify(value);
+}
+
+// Problems with a field's o9 metadata, prefixed with label ('Field 2: ...')
+function validateFieldMetadata(field, label) {
+  const errors = [];
+  const add = message => errors.push(`${label}: ${message}`);
+
+  if (field.attributePath !== undefined) {
+    if (typeof field.attributePath !== 'string' || !ATTRIBUTE_PATH_PATTERN.test(field.attributePath)) {
+      add(`attributePath must look like [Dimension].[Attribute], got ${describeValue(field.attributePath)}`);
+    } else if (field.classification !== 'dimension') {
+      add('attributePath applies to dimension fields');
+    }
+  }
+
+  if (field.measure !== undefined) {
+    if (typeof field.measure !== 'string' || !field.measure.trim() || /[[\]]/.test(field.measure)) {
+      add('measure must be the plain measure name, e.g. Consensus Fcst');
+    } else if (field.classification !== 'measure') {
+      add('measure applies to measure fields');
+    }
+  }
+
+  if (field.grain !== undefined) {
+    if (!Array.isArray(field.grain) || field.grain.length === 0) {
+      add('grain must be a non-empty array of attribute paths');
+    } else {
+      const invalid = field.grain.filter(path => typeof path !== 'string' || !ATTRIBUTE_PATH_PATTERN.test(path));
+      if (invalid.length > 0) {
+        add(`grain entries must look like [Dimension].[Attribute]: ${invalid.map(describeValue).join(', ')}`);
+      }
+      if (field.classification !== 'measure') {
+        add('grain applies to measure fields');
+      }
+    }
+  }
+
+  if (field.multiselect !== undefined) {
+    if (typeof field.multiselect !== 'boolean') {
+      add('multiselect must be true or false');
+    } else if (field.multiselect && field.dataType !== 'array') {
+      add('multiselect fields must have dataType array');
+    }
+  }
+
+  if (field.dateFormat !== undefined) {
+    if (!isDateFormat(field.dateFormat)) {
+      add(`dateFormat must combine YYYY, MM and DD once each (and optionally HH, mm, ss) with separators, got ${describeValue(field.dateFormat)}`);
+    } else if (field.dataType !== 'date') {
+      add('dateFormat applies to date fields');
+    }
+  }
+
+  let allowedValues = null;
+  if (field.allowedValues !== undefined) {
+    if (!Array.isArray(field.allowedValues) || field.allowedValues.length === 0) {
+      add('allowedValues must be a non-empty array');
+    } else {
+      const invalid = field.allowedValues.filter(value => !valueMatches(field, value));
+      if (invalid.length > 0) {
+        add(`allowedValues do not match dataType ${field.dataType}: ${invalid.map(describeValue).join(', ')}`);
+      } else if (new Set(field.allowedValues).size !== field.allowedValues.length) {
+        add('allowedValues contains duplicates');
+      } else {
+        allowedValues = new Set(field.allowedValues);
+      }
+    }
+  }
+
+  if (field.defaultValue !== undefined && field.defaultValue !== null) {
+    // Array fields default to one member or a list of members
+    const values = field.dataType === 'array' && Array.isArray(field.defaultValue) ? field.defaultValue : [field.defaultValue];
+    const invalid = values.filter(value => !valueMatches(field, value));
+
+    if (invalid.length > 0) {
+      add(`defaultValue ${describeValue(field.defaultValue)} does not match dataType ${field.dataType}${field.dateFormat ? ` (${field.dateFormat})` : ''}`);
+    } else if (allowedValues && values.some(value => !allowedValues.has(value))) {
+      add(`defaultValue ${describeValue(field.defaultValue)} is not one of the allowedValues`);
+    }
+  }
+
+  return errors;
+}
+
+// Metadata problems across a list of fields, labelled 'Field N' as in
+// POST /field-bindings/validate
+function validateModelMetadata(fields) {
+  return fields.flatMap((field, index) => (field ? validateFieldMetadata(field, `Field ${index + 1}`) : []));
+}
+
+// Problems with a list of fields: missing or duplicate names, unknown
+// dataType or classification, and invalid metadata, labelled 'Field N'
+function validateFields(fields) {
+  const errors = [];
+  const fieldNames = new Set();
+
+  fields.forEach((field, index) => {
+    const label = `Field ${index + 1}`;
+    if (!field || typeof field !== 'object') {
+      errors.push(`${label}: Must be an object`);
+      return;
+    }
+
+    if (!field.name) {
+      errors.push(`${label}: Missing name`);
+    } else if (fieldNames.has(field.name)) {
+      errors.push(`${label}: Duplicate field name '${field.name}'`);
+    } else {
+      fieldNames.add(field.name);
+    }
+
+    if (!field.dataType) {
+      errors.push(`${label}: Missing dataType`);
+    } else if (!DATA_TYPES.includes(field.dataType)) {
+      errors.push(`${label}: Invalid dataType '${field.dataType}'`);
+    }
+
+    if (!field.classification) {
+      errors.push(`${label}: Missing classification`);
+    } else if (!CLASSIFICATIONS.includes(field.classification)) {
+      errors.push(`${label}: Invalid classification '${field.classification}'`);
+    }
+  });
+
+  return [...errors, ...validateModelMetadata(fields)];
+}
+
+// Prompt section listing the o9 names and value rules of fields that carry
+// metadata; empty when none do
+function describeModelMetadata(fields = []) {
+  const lines = [];
+
+  for (const field of fields) {
+    if (!field || !field.name) continue;
+
+    const details = [];
+    if (field.attributePath) details.push(`attribute ${field.attributePath}`);
+    if (field.measure) details.push(`measure [${field.measure}]`);
+    if (field.grain) details.push(`grain ${field.grain.join(' * ')}`);
+    if (field.multiselect !== undefined) details.push(field.multiselect ? 'multiselect' : 'single select');
+    if (field.dateFormat) details.push(`date format ${field.dateFormat}`);
+    if (field.allowedValues) details.push(`allowed values ${field.allowedValues.map(describeValue).join(', ')}`);
+    if (field.defaultValue !== undefined && field.defaultValue !== null) details.push(`default ${describeValue(field.defaultValue)}`);
+
+    if (details.length > 0) {
+      lines.push(`- ${field.name} (${field.classification}): ${details.join('; ')}`);
+    }
+  }
+
+  if (lines.length === 0) return '';
+
+  return `O9 MODEL METADATA (use these exact attribute and measure names in scope statements and assignments, apply defaults to empty values before checking required fields, and reject values outside the allowed lists or date formats):\n${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DATA_TYPES,
+  CLASSIFICATIONS,
+  ATTRIBUTE_PATH_PATTERN,
+  dateFormatRegex,
+  formatDate,
+  validateFieldMetadata,
+  validateModelMetadata,
+  validateFields,
+  describeModelMetadata
+};
@@ -0,0 +1,416 @@
+const { v4: uuidv4 } = require('uuid');
+const { providerName, llmClient } = require('../llm');
+const { validateGeneratedCode } = require('./codeValidator');
+const { generateTestSuite } = require('./testGenerator');
+const { retrieveExamples, retrieveReferenceDocuments } = require('./retrieval');
+const { createRevision } = require('./codeRevisions');
+const { renderTemplateModule } = require('./templateGenerator');
+const { resolvePromptTemplate, renderPrompt, templateReference } = require('./promptTemplates');
+const { recordAudit } = require('./auditLog');
+const { currentRevision } = require('./bindingRevisions');
+
+// Code generation pipeline shared by the blocking and streaming endpoints.
+//
+// Callers pass hooks.workspace, the workspace the binding, examples, prompt
+// template and saved record belong to. onStage(stage, data) is called as
+// each step starts or finishes (binding, retrieval, generation, validation,
+// tests, save), onToken(text) receives model output as it streams, and an
+// AbortSignal stops the pipeline before anything is saved.
+
+// Number of times invalid output is sent back to the model for repair
+const DEFAULT_REPAIR_ATTEMPTS = parseInt(process.env.CODE_REPAIR_MAX_ATTEMPTS || '2');
+const MAX_REPAIR_ATTEMPTS = 5;
+
+// 'ai' asks the model; 'template' renders the module from the binding alone
+const GENERATION_MODES = ['ai', 'template'];
+
+function emitStage(hooks, stage, data) {
+  if (hooks && hooks.onStage) hooks.onStage(stage, data);
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Generation cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+// Errors carrying the HTTP status the route should answer with
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Get field binding configuration, falling back to a lookup by id alone if
+// the binding lives under another action button type
+async function findFieldBinding(workspace, fieldBindingId, actionButtonType) {
+  let fieldBinding = null;
+  try {
+    fieldBinding = await workspace.documents.fieldBindings.read(fieldBindingId, actionButtonType);
+    if (fieldBinding) {
+      console.log('✅ Found field binding via direct lookup');
+    }
+  } catch (error) {
+    console.log('⚠️ Direct lookup failed:', error.message);
+  }
+
+  if (!fieldBinding) {
+    fieldBinding = await workspace.documents.fieldBindings.read(fieldBindingId);
+    if (fieldBinding) {
+      console.log('✅ Found field binding via query');
+    }
+  }
+
+  return fieldBinding;
+}
+
+// Checked up front so queued requests are rejected before a job is created
+function validateGenerationRequest(request) {
+  const { projectName, actionButtonType, businessLogic, fieldBindingId, mode } = request || {};
+  if (mode !== undefined && !GENERATION_MODES.includes(mode)) {
+    throw requestError(400, `mode must be one of: ${GENERATION_MODES.join(', ')}`);
+  }
+
+  // Templates are rendered from the binding alone, so business logic is optional
+  if (!projectName || !actionButtonType || (!businessLogic && mode !== 'template') || !fieldBindingId) {
+    throw requestError(400, 'Missing required fields: projectName, actionButtonType, businessLogic, fieldBindingId');
+  }
+}
+
+// Run a full generation request: binding lookup, retrieval, generation with
+// repair, optional tests, and saving the record as its first revision.
+// Returns the API response body.
+async function runGeneration(request, hooks = {}) {
+  const { actionButtonType, fieldBindingId } = request;
+
+  validateGenerationRequest(request);
+
+  emitStage(hooks, 'binding', { fieldBindingId });
+  const fieldBinding = await findFieldBinding(hooks.workspace, fieldBindingId, actionButtonType);
+
+  if (!fieldBinding) {
+    console.log('❌ Field binding not found');
+    throw requestError(404, 'Field binding configuration not found');
+  }
+  emitStage(hooks, 'binding', { fieldBindingId, name: fieldBinding.name, fieldCount: (fieldBinding.fields || []).length });
+  throwIfAborted(hooks.signal);
+
+  return generateWithBinding(request, fieldBinding, hooks);
+}
+
+// Knowledge base examples and reference documents for the prompt; failures
+// leave the generation to run without them
+async function retrieveContext(actionButtonType, businessLogic, fieldBinding, hooks) {
+  console.log('🔍 Searching knowledge base for examples...');
+  emitStage(hooks, 'retrieval', {});
+  
+  // Get relevant knowledge base examples, ranked by similarity to the request
+  let exampleCodes = [];
+  let retrievalMethod = 'none';
+  
+  try {
+    const retrieval = await retrieveExamples({
+      workspace: hooks.workspace,
+      actionButtonType,
+      businessLogic,
+      fields: fieldBinding.fields
+    });
+    exampleCodes = retrieval.examples;
+    retrievalMethod = retrieval.method;
+    
+    console.log(`📚 Successfully loaded ${exampleCodes.length} example codes (${retrievalMethod})`);
+    
+  } catch (knowledgeError) {
+    console.log('⚠️ Knowledge base query failed:', knowledgeError.message);
+    console.log('🔄 Continuing without examples...');
+  }
+
+  // Supporting documentation (markdown, PDF and screenshot text) for prompt context
+  let referenceDocuments = [];
+
+  try {
+    const retrieval = await retrieveReferenceDocuments({
+      workspace: hooks.workspace,
+      actionButtonType,
+      businessLogic,
+      fields: fieldBinding.fields
+    });
+    referenceDocuments = retrieval.documents;
+  } catch (documentError) {
+    console.log('⚠️ Reference document query failed:', documentError.message);
+  }
+
+  emitStage(hooks, 'retrieval', {
+    method: retrievalMethod,
+    examples: summarizeItems(exampleCodes),
+    referenceDocuments: summarizeItems(referenceDocuments)
+  });
+
+  return { exampleCodes, retrievalMethod, referenceDocuments };
+}
+
+function summarizeItems(items) {
+  return items.map(item => ({ id: item.id, fileName: item.fileName, description: item.description, score: item.score }));
+}
+
+// Everything after the binding lookup, for callers that resolve the binding
+// themselves (batch rows may define their fields inline, with no stored
+// binding). hooks.jobId and hooks.batchId link the saved record to the job
+// or batch that produced it; hooks.createdBy and hooks.requestId identify
+// the caller and request for the record and the audit log.
+async function generateWithBinding(request, fieldBinding, hooks = {}) {
+  const {
+    projectName,
+    actionButtonType,
+    businessLogic = '',
+    maxRepairAttempts,
+    generateTests
+  } = request;
+  const mode = request.mode || 'ai';
+
+  // Templates need no examples or documentation
+  let exampleCodes = [];
+  let retrievalMethod = 'none';
+  let referenceDocuments = [];
+
+  if (mode === 'ai') {
+    ({ exampleCodes, retrievalMethod, referenceDocuments } = await retrieveContext(actionButtonType, businessLogic, fieldBinding, hooks));
+  }
+
+  const examples = summarizeItems(exampleCodes);
+  const documentSummaries = summarizeItems(referenceDocuments);
+
+  let generation;
+  if (mode === 'template') {
+    console.log('🧩 Rendering code from template...');
+    generation = await generateFromTemplate(projectName, actionButtonType, businessLogic, fieldBinding, { generateTests, ...hooks });
+  } else {
+    console.log(`🤖 Generating code with ${providerName} provider...`);
+
+    // Generate code using the configured LLM provider
+    generation = await generateActionButtonCode(
+      projectName,
+      actionButtonType,
+      businessLogic,
+      fieldBinding,
+      exampleCodes,
+      { maxRepairAttempts, generateTests, referenceDocuments, ...hooks }
+    );
+  }
+  const { generatedCode, validation, attempts, tests, promptTemplate = null } = generation;
+
+  console.log(`✅ Code generated in ${attempts.length} attempt(s)`);
+  throwIfAborted(hooks.signal);
+
+  console.log('💾 Saving to database...');
+  emitStage(hooks, 'save', {});
+  
+  // Store generated code
+  const codeRecord = {
+    id: uuidv4(),
+    projectId: projectName.toLowerCase().replace(/[^a-z0-9]/g, ''),
+    projectName,
+    actionButtonType,
+    businessLogic,
+    fieldBindingId: fieldBinding.id || null,
+    // Inline batch bindings have no stored revisions
+    fieldBindingRevision: fieldBinding.id ? currentRevision(fieldBinding) : null,
+    fieldBinding,
+    generatedCode,
+    validation,
+    attempts,
+    testCode: tests ? tests.testCode : null,
+    testFileName: tests ? tests.testFileName : null,
+    examples,
+    retrievalMethod,
+    referenceDocuments: documentSummaries,
+    generationMode: mode,
+    promptTemplate,
+    createdBy: hooks.createdBy || null,
+    generatedAt: new Date().toISOString(),
+    version: '1.0.0',
+    status: 'generated'
+  };
+
+  if (hooks.jobId) {
+    codeRecord.jobId = hooks.jobId;
+  }
+  if (hooks.batchId) {
+    codeRecord.batchId = hooks.batchId;
+  }
+
+  // Every generation is kept as an immutable revision
+  const head = await createRevision(hooks.workspace, null, codeRecord, { source: 'generated' });
+  const resource = await hooks.workspace.documents.generatedCode.create(head);
+  
+  console.log('✅ Saved to database with ID:', resource.id);
+  emitStage(hooks, 'save', { codeId: resource.id, revision: resource.revision });
+
+  await recordAudit({ actor: hooks.createdBy, requestId: hooks.requestId, workspace: hooks.workspace }, {
+    entityType: 'generatedCode',
+    entityId: resource.id,
+    action: 'generate',
+    after: resource,
+    details: {
+      projectId: resource.projectId,
+      generationMode: mode,
+      jobId: hooks.jobId || null,
+      batchId: hooks.batchId || null
+    }
+  });
+
+  return {
+    message: 'JavaScript code generated successfully',
+    codeId: resource.id,
+    projectId: resource.projectId,
+    projectName,
+    generatedCode,
+    validation,
+    attemptCount: attempts.length,
+    attempts,
+    testCode: codeRecord.testCode,
+    testFileName: codeRecord.testFileName,
+    usedExamples: exampleCodes.length,
+    retrievalMethod,
+    selectedExamples: codeRecord.examples,
+    referenceDocuments: codeRecord.referenceDocuments,
+    generationMode: mode,
+    promptTemplate,
+    revision: resource.revision
+  };
+}
+
+// Generate JavaScript code using the configured LLM provider. Output that
+// fails validation is sent back to the model with the errors until it passes
+// or the repair attempts run out.
+async function generateActionButtonCode(projectName, actionButtonType, businessLogic, fieldBinding, examples, options = {}) {
+  const repairAttempts = Math.min(
+    Math.max(parseInt(options.maxRepairAttempts ?? DEFAULT_REPAIR_ATTEMPTS) || 0, 0),
+    MAX_REPAIR_ATTEMPTS
+  );
+
+  // The prompt comes from the stored template for the type (see promptTemplates.js)
+  const { template } = await resolvePromptTemplate(options.workspace, actionButtonType);
+  const messages = renderPrompt(template, {
+    projectName,
+    actionButtonType,
+    businessLogic,
+    fieldBinding,
+    examples,
+    referenceDocuments: options.referenceDocuments,
+    baseModule: options.baseModule
+  });
+  const attempts = [];
+  let result;
+
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    emitStage(options, 'generation', { attempt });
+    const rawOutput = await requestCompletion(messages, options);
+
+    console.log('🔎 Validating generated code...');
+    result = validateGeneratedCode(rawOutput, { projectName, fields: fieldBinding.fields });
+    attempts.push({
+      attempt,
+      valid: result.valid,
+      errors: result.errors,
+      warnings: result.warnings
+    });
+    emitStage(options, 'validation', attempts[attempts.length - 1]);
+    console.log(`${result.valid ? '✅' : '⚠️'} Attempt ${attempt}: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+
+    if (result.valid) break;
+
+    messages.push(
+      { role: 'assistant', content: rawOutput },
+      { role: 'user', content: buildRepairPrompt(projectName, result.errors) }
+    );
+  }
+
+  const { code: generatedCode, ...validation } = result;
+
+  const tests = await generateCompanionTests(projectName, businessLogic, fieldBinding, generatedCode, options);
+
+  return { generatedCode, validation, attempts, tests, promptTemplate: templateReference(template) };
+}
+
+// Render the module from its field binding with the deterministic template
+// generator. The result goes through the same validation as model output.
+async function generateFromTemplate(projectName, actionButtonType, businessLogic, fieldBinding, options = {}) {
+  emitStage(options, 'generation', { attempt: 1, mode: 'template' });
+
+  // Bindings the template cannot render throw with status 400
+  const code = renderTemplateModule({ projectName, actionButtonType, fieldBinding });
+  if (options.onToken) options.onToken(code);
+
+  const { code: generatedCode, ...validation } = validateGeneratedCode(code, { projectName, fields: fieldBinding.fields });
+  const attempts = [{
+    attempt: 1,
+    valid: validation.valid,
+    errors: validation.errors,
+    warnings: validation.warnings
+  }];
+  emitStage(options, 'validation', attempts[0]);
+
+  const tests = await generateCompanionTests(projectName, businessLogic, fieldBinding, generatedCode, options);
+
+  return { generatedCode, validation, attempts, tests };
+}
+
+// Companion test file exercising ActionButtonCall with mocked o9 APIs
+async function generateCompanionTests(projectName, businessLogic, fieldBinding, generatedCode, options) {
+  if (!options.generateTests) return null;
+
+  throwIfAborted(options.signal);
+  emitStage(options, 'tests', {});
+  console.log('🧪 Generating companion tests...');
+  const tests = await generateTestSuite({
+    projectName,
+    businessLogic,
+    fields: fieldBinding.fields,
+    generatedCode
+  });
+  console.log(`✅ Generated ${tests.testCases} test cases`);
+  return tests;
+}
+
+// Helper function to ask the model to fix specific validation errors
+function buildRepairPrompt(projectName, errors) {
+  const errorList = errors
+    .map(error => `- ${error.line ? `Line ${error.line}${error.column ? `:${error.column}` : ''}: ` : ''}${error.message}`)
+    .join('\n');
+
+  return `The module you generated failed validation with these errors:
+
+${errorList}
+
+Fix every error and return the complete corrected module. Keep the define('o9.${projectName.replace(/[^a-zA-Z0-9]/g, '')}', [...], function(){...}) wrapper, export ActionButtonCall and parse o9Params with JSON.parse. Return only the JavaScript code.`;
+}
+
+// Helper function to call the LLM provider and return the message content.
+// With an onToken hook the completion is streamed when the provider supports it.
+async function requestCompletion(messages, { onToken, signal } = {}) {
+  console.log(`🤖 Calling ${providerName} provider...`);
+  throwIfAborted(signal);
+  
+  const response = onToken && llmClient.streamCompletion
+    ? await llmClient.streamCompletion(messages, 4000, 0.1, { onToken, signal })
+    : await llmClient.generateCompletion(messages, 4000, 0.1);
+  
+  if (!response.choices || response.choices.length === 0) {
+    throw new Error('No code generated from AI service');
+  }
+
+  console.log('✅ Received AI response');
+  return response.choices[0].message.content;
+}
+
+module.exports = {
+  GENERATION_MODES,
+  findFieldBinding,
+  validateGenerationRequest,
+  runGeneration,
+  generateWithBinding,
+  generateActionButtonCode
+};
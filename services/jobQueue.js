@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require('uuid');
+const { documents, openWorkspace, DEFAULT_WORKSPACE } = require('../storage');
+const { runGeneration } = require('./generation');
+
+// Persistent queue for asynchronous generation jobs.
+//
+// Jobs are stored in the generationJobs container so their status survives
+// restarts and browser refreshes. This process runs up to
+// GENERATION_JOB_CONCURRENCY jobs at a time; on startup, queued jobs and jobs
+// interrupted mid-run are picked up again. An interrupted job whose module
+// was already saved is marked succeeded instead of running again, and a job
+// interrupted more than GENERATION_JOB_MAX_RESTARTS times is failed so it
+// cannot crash-loop the process.
+//
+// Job status moves queued -> running <-> validating -> succeeded | failed.
+//
+// Each job belongs to the workspace it was queued in and runs there. Jobs
+// queued before workspaces existed belong to the default workspace.
+
+const CONCURRENCY = Math.max(parseInt(process.env.GENERATION_JOB_CONCURRENCY || '2') || 1, 1);
+const JOB_TYPE = 'generation';
+const ACTIVE_STATUSES = ['running', 'validating'];
+const MAX_RESTARTS = Math.max(parseInt(process.env.GENERATION_JOB_MAX_RESTARTS || '3') || 0, 0);
+
+const pending = [];
+let active = 0;
+
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await documents.generationJobs.replace(job.id, JOB_TYPE, job);
+}
+
+// Store a new job and schedule it; returns the job document
+async function enqueueGeneration(workspace, request, { createdBy = null, requestId = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type: JOB_TYPE,
+    workspaceId: workspace.id,
+    status: 'queued',
+    stage: null,
+    request,
+    result: null,
+    error: null,
+    restarts: 0,
+    createdBy,
+    requestId,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  await workspace.documents.generationJobs.create(job);
+  console.log(`📥 Queued generation job ${job.id} for ${request.projectName}`);
+
+  pending.push(job.id);
+  setImmediate(drain);
+  return job;
+}
+
+function drain() {
+  while (active < CONCURRENCY && pending.length > 0) {
+    const jobId = pending.shift();
+    active++;
+
+    runJob(jobId)
+      .catch(error => console.error(`💥 Generation job ${jobId} could not be updated:`, error.message))
+      .finally(() => {
+        active--;
+        drain();
+      });
+  }
+}
+
+async function runJob(jobId) {
+  const job = await documents.generationJobs.read(jobId, JOB_TYPE);
+  if (!job || job.status !== 'queued') return;
+
+  await updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+  console.log(`⚙️ Running generation job ${job.id}`);
+
+  // Stage updates are written in order, without holding up the pipeline
+  let progress = Promise.resolve();
+  const onStage = (stage) => {
+    const status = stage === 'validation' ? 'validating' : 'running';
+    if (status === job.status && stage === job.stage) return;
+
+    progress = progress
+      .then(() => updateJob(job, { status, stage }))
+      .catch(error => console.warn(`⚠️ Could not update job ${job.id}:`, error.message));
+  };
+
+  try {
+    const result = await runGeneration(job.request, {
+      workspace: openWorkspace(job.workspaceId || DEFAULT_WORKSPACE),
+      onStage,
+      jobId: job.id,
+      createdBy: job.createdBy || null,
+      requestId: job.requestId || null
+    });
+    await progress;
+
+    await updateJob(job, {
+      status: 'succeeded',
+      stage: null,
+      finishedAt: new Date().toISOString(),
+      result: {
+        codeId: result.codeId,
+        projectId: result.projectId,
+        revision: result.revision,
+        valid: result.validation.valid,
+        attemptCount: result.attemptCount
+      }
+    });
+    console.log(`✅ Generation job ${job.id} succeeded (code ${result.codeId})`);
+
+  } catch (error) {
+    await progress;
+
+    await updateJob(job, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: { message: error.message, status: error.status || 500 }
+    });
+    console.error(`❌ Generation job ${job.id} failed:`, error.message);
+  }
+}
+
+// Job result for a generatedCode record, as recorded by a finished run
+function jobResult(record) {
+  return {
+    codeId: record.id,
+    projectId: record.projectId,
+    revision: record.revision,
+    valid: Boolean(record.validation && record.validation.valid),
+    attemptCount: Array.isArray(record.attempts) ? record.attempts.length : null
+  };
+}
+
+// Settle a job interrupted mid-run: succeeded when its module was saved
+// before the interruption, failed when it has been restarted too often.
+// Returns true when the job should run again.
+async function recoverInterruptedJob(job) {
+  const [record] = await documents.generatedCode.find({
+    filter: { jobId: job.id },
+    fields: ['id', 'projectId', 'revision', 'validation', 'attempts'],
+    limit: 1
+  });
+
+  if (record) {
+    await updateJob(job, { status: 'succeeded', stage: null, finishedAt: new Date().toISOString(), result: jobResult(record) });
+    console.log(`✅ Generation job ${job.id} had already saved code ${record.id}`);
+    return false;
+  }
+
+  const restarts = (job.restarts || 0) + 1;
+  if (restarts > MAX_RESTARTS) {
+    await updateJob(job, {
+      status: 'failed',
+      stage: null,
+      restarts,
+      finishedAt: new Date().toISOString(),
+      error: { message: `Job was interrupted ${restarts} times and will not be restarted`, status: 500 }
+    });
+    console.error(`❌ Generation job ${job.id} failed after ${restarts} interruptions`);
+    return false;
+  }
+
+  await updateJob(job, { status: 'queued', stage: null, restarts });
+  return true;
+}
+
+// Requeue jobs left behind by a previous process, oldest first
+async function resumeJobs() {
+  const jobs = [];
+  for (const status of ['queued', ...ACTIVE_STATUSES]) {
+    jobs.push(...await documents.generationJobs.find({ filter: { type: JOB_TYPE, status } }));
+  }
+
+  jobs.sort((a, b) => (a.createdAt > b.createdAt ? 1 : -1));
+
+  let resumed = 0;
+
+  for (const job of jobs) {
+    if (pending.includes(job.id)) continue;
+
+    if (ACTIVE_STATUSES.includes(job.status) && !await recoverInterruptedJob(job)) continue;
+    pending.push(job.id);
+    resumed++;
+  }
+
+  if (resumed > 0) {
+    console.log(`🔁 Resuming ${resumed} generation jobs`);
+  }
+  drain();
+  return resumed;
+}
+
+async function getJob(workspace, jobId) {
+  return workspace.documents.generationJobs.read(jobId, JOB_TYPE);
+}
+
+async function listJobs(workspace, { status, limit = 50 } = {}) {
+  return workspace.documents.generationJobs.find({
+    filter: { type: JOB_TYPE, status: status || undefined },
+    orderBy: 'createdAt',
+    limit
+  });
+}
+
+function queueStats() {
+  return { concurrency: CONCURRENCY, active, pending: pending.length };
+}
+
+module.exports = {
+  enqueueGeneration,
+  resumeJobs,
+  getJob,
+  listJobs,
+  queueStats
+};
@@ -0,0 +1,449 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const {
+  extractCode,
+  isFunction,
+  propertyName,
+  findDefineCall,
+  findExports,
+  collectFunctionBindings,
+  validateGeneratedCode
+} = require('./codeValidator');
+
+// Reverse-engineering of hand-written o9 Action Button modules.
+//
+// The module is parsed (never run) and every read of the parsed o9Params
+// object is traced: which keys are read, whether they pass through
+// ConcatenateMultiselect, and whether they end up in a scope clause or a
+// measure assignment of the query strings. From that the analysis proposes
+// a field binding draft that can be saved as-is through POST
+// /api/field-bindings, and classifies the module as one of the four action
+// button types. Everything here is a heuristic for a person to review.
+
+const ARRAY_METHODS = ['join', 'map', 'forEach', 'filter', 'some', 'every', 'reduce'];
+const NUMBER_FUNCTIONS = ['parseInt', 'parseFloat', 'Number'];
+const ARITHMETIC_OPERATORS = ['-', '*', '/', '%', '<', '>', '<=', '>='];
+const EQUALITY_OPERATORS = ['===', '==', '!==', '!='];
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Static key of x.Name or x['Name']
+function memberKey(node) {
+  if (node.computed) {
+    return node.property.type === 'Literal' ? String(node.property.value) : null;
+  }
+  return propertyName(node.property);
+}
+
+function calleeName(node) {
+  if (!node || node.type !== 'CallExpression') return null;
+  if (node.callee.type === 'Identifier') return node.callee.name;
+  if (node.callee.type === 'MemberExpression') return propertyName(node.callee.property);
+  return null;
+}
+
+function isJsonParse(node) {
+  return node && node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    propertyName(node.callee.object) === 'JSON' && propertyName(node.callee.property) === 'parse';
+}
+
+function isStringLiteral(node) {
+  return node.type === 'Literal' && typeof node.value === 'string';
+}
+
+// Leaves of an a + b + c chain, in source order
+function flattenConcatenation(node) {
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return [...flattenConcatenation(node.left), ...flattenConcatenation(node.right)];
+  }
+  return [node];
+}
+
+// String literal text immediately before node in the concatenation or
+// template literal it belongs to, plus the literal text of the whole string
+function stringContext(node, ancestors) {
+  for (let i = ancestors.length - 2; i >= 0; i--) {
+    const ancestor = ancestors[i];
+
+    if (ancestor.type === 'TemplateLiteral') {
+      const index = ancestor.expressions.findIndex(expression => expression.start <= node.start && node.end <= expression.end);
+      if (index === -1) return null;
+      return {
+        before: ancestor.quasis[index].value.cooked || '',
+        text: ancestor.quasis.map(quasi => quasi.value.cooked || '').join(' ')
+      };
+    }
+
+    if (ancestor.type === 'BinaryExpression' && ancestor.operator === '+') {
+      // Climb to the top of the chain, then find the part holding node
+      let root = ancestor;
+      for (let j = i - 1; j >= 0 && ancestors[j].type === 'BinaryExpression' && ancestors[j].operator === '+'; j--) {
+        root = ancestors[j];
+      }
+
+      const parts = flattenConcatenation(root);
+      if (!parts.some(isStringLiteral)) return null;
+
+      const index = parts.findIndex(part => part.start <= node.start && node.end <= part.end);
+      let before = '';
+      for (let k = index - 1; k >= 0 && isStringLiteral(parts[k]); k--) {
+        before = parts[k].value + before;
+      }
+
+      return {
+        before,
+        text: parts.filter(isStringLiteral).map(part => part.value).join(' ')
+      };
+    }
+
+    // Values usually reach the string through a call (ConcatenateMultiselect,
+    // JSON.stringify); anything else ends the search
+    if (!['CallExpression', 'MemberExpression', 'ConditionalExpression', 'LogicalExpression'].includes(ancestor.type)) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Where a value lands in an IBPL query string
+function queryUsage(context) {
+  if (!context) return null;
+  if (/\]\s*=\s*["']?$/.test(context.before) || /\bMeasure\.\[[^\]]*\]\s*=\s*["']?$/i.test(context.before)) {
+    return 'measure';
+  }
+  if (/filter\s*\(\s*#\.Name\s+in\s*\{\s*["']?$/i.test(context.before) || /\]\.\[\s*["']?$/.test(context.before) ||
+      /\bscope\b/i.test(context.text)) {
+    return 'scope';
+  }
+  return null;
+}
+
+// Whether an if statement test is a required-value check (!x, x.length === 0, x === '')
+function isRequiredCheck(node, parent, grandparent) {
+  if (parent && parent.type === 'UnaryExpression' && parent.operator === '!') return true;
+
+  const comparison = parent && parent.type === 'MemberExpression' && memberKey(parent) === 'length' ? grandparent : parent;
+  if (!comparison || comparison.type !== 'BinaryExpression' || !EQUALITY_OPERATORS.concat(['<']).includes(comparison.operator)) {
+    return false;
+  }
+
+  const other = comparison.left === node || comparison.left === parent ? comparison.right : comparison.left;
+  return other.type === 'Literal' && (other.value === 0 || other.value === '' || other.value === null || other.value === 1) ||
+    (other.type === 'Identifier' && other.name === 'undefined');
+}
+
+// Find the variables holding JSON.parse(o9Params) inside ActionButtonCall
+// (or anywhere in the factory when ActionButtonCall cannot be resolved)
+function findParamsVariables(root) {
+  const names = new Set();
+  walk.simple(root, {
+    VariableDeclarator(node) {
+      if (node.id.type === 'Identifier' && isJsonParse(node.init)) names.add(node.id.name);
+    },
+    AssignmentExpression(node) {
+      if (node.left.type === 'Identifier' && isJsonParse(node.right)) names.add(node.left.name);
+    }
+  });
+  return names;
+}
+
+function actionButtonCallBody(factory) {
+  const exported = findExports(factory);
+  const property = exported && exported.properties.find(p => propertyName(p.key) === 'ActionButtonCall');
+  if (!property) return null;
+
+  if (isFunction(property.value)) return property.value;
+  return collectFunctionBindings(factory)[propertyName(property.value)] || null;
+}
+
+// Trace every read of the params object; returns per-key usage and warnings
+function traceParams(root, paramsVariables) {
+  const usage = new Map();
+  const warnings = [];
+
+  const fieldUsage = (key, node) => {
+    if (!usage.has(key)) {
+      usage.set(key, {
+        name: key,
+        order: node.start,
+        lines: new Set(),
+        multiselect: false,
+        queryUsage: new Set(),
+        hints: new Set(),
+        required: false
+      });
+    }
+    return usage.get(key);
+  };
+
+  // Variables initialised from a single key, e.g. var skus = ConcatenateMultiselect(parsedParams.SKU)
+  const aliases = new Map();
+  walk.simple(root, {
+    VariableDeclarator(node) {
+      if (!node.init) return;
+
+      if (node.id.type === 'ObjectPattern' && node.init.type === 'Identifier' && paramsVariables.has(node.init.name)) {
+        for (const property of node.id.properties) {
+          const key = property.key && propertyName(property.key);
+          if (key && property.value && property.value.type === 'Identifier') {
+            aliases.set(property.value.name, { key, multiselect: false });
+          }
+        }
+        return;
+      }
+
+      if (node.id.type !== 'Identifier') return;
+      let target = node.init;
+      const callee = calleeName(target);
+      if (target.type === 'CallExpression' && target.arguments.length === 1) {
+        target = target.arguments[0];
+      }
+      if (target.type === 'MemberExpression' && target.object.type === 'Identifier' &&
+          paramsVariables.has(target.object.name) && memberKey(target)) {
+        aliases.set(node.id.name, { key: memberKey(target), multiselect: callee === 'ConcatenateMultiselect' });
+      }
+    }
+  });
+
+  const record = (key, node, ancestors, alias) => {
+    const field = fieldUsage(key, node);
+    field.lines.add(node.loc.start.line);
+    if (alias && alias.multiselect) field.multiselect = true;
+
+    const parent = ancestors[ancestors.length - 2];
+    const grandparent = ancestors[ancestors.length - 3];
+
+    // Calls the value passes through on its way into an expression
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      const name = calleeName(ancestor);
+      if (name === 'ConcatenateMultiselect') field.multiselect = true;
+      if (NUMBER_FUNCTIONS.includes(name)) field.hints.add('number');
+      if (ancestor.type === 'NewExpression' && propertyName(ancestor.callee) === 'Date') field.hints.add('date');
+      if (/Statement$|Declarator$/.test(ancestor.type)) break;
+    }
+
+    if (parent && parent.type === 'MemberExpression' && parent.object === node && ARRAY_METHODS.includes(memberKey(parent))) {
+      field.hints.add('array');
+    }
+    if (parent && calleeName(parent) === 'isArray' && parent.arguments.includes(node)) {
+      field.hints.add('array');
+    }
+    if (parent && parent.type === 'BinaryExpression' && ARITHMETIC_OPERATORS.includes(parent.operator)) {
+      field.hints.add('number');
+    }
+    if (parent && parent.type === 'BinaryExpression' && EQUALITY_OPERATORS.includes(parent.operator)) {
+      const other = parent.left === node ? parent.right : parent.left;
+      if (other.type === 'Literal' && (typeof other.value === 'boolean' || ['true', 'false'].includes(other.value))) {
+        field.hints.add('boolean');
+      }
+    }
+    if (parent && (parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') && parent.test === node) {
+      field.hints.add('boolean');
+    }
+
+    const ifStatement = [...ancestors].reverse().find(ancestor => ancestor.type === 'IfStatement');
+    if (ifStatement && ifStatement.test.start <= node.start && node.end <= ifStatement.test.end &&
+        isRequiredCheck(node, parent, grandparent)) {
+      field.required = true;
+    }
+
+    const usageType = queryUsage(stringContext(node, ancestors));
+    if (usageType) field.queryUsage.add(usageType);
+  };
+
+  walk.ancestor(root, {
+    MemberExpression(node, ancestors) {
+      if (node.object.type !== 'Identifier' || !paramsVariables.has(node.object.name)) return;
+
+      const key = memberKey(node);
+      if (key) {
+        record(key, node, ancestors);
+      } else {
+        warnings.push(`${node.object.name} is read with a computed key at line ${node.loc.start.line}; fields read that way are not detected`);
+      }
+    },
+    Identifier(node, ancestors) {
+      const alias = aliases.get(node.name);
+      if (alias) record(alias.key, node, ancestors, alias);
+    }
+  });
+
+  return { usage, warnings };
+}
+
+// Lists of selected members count as dimensions even when the scope is
+// built from their items rather than from the list itself. Only array
+// handling of the value itself (Array.isArray, join, map, ...) makes a field
+// an array: ConcatenateMultiselect passes single values through unchanged.
+function inferField(field) {
+  let classification;
+  if (field.queryUsage.has('measure')) {
+    classification = 'measure';
+  } else if (field.queryUsage.has('scope') || field.multiselect || field.hints.has('array') || /version/i.test(field.name)) {
+    classification = 'dimension';
+  } else {
+    classification = 'parameter';
+  }
+
+  let dataType;
+  if (field.hints.has('array')) {
+    dataType = 'array';
+  } else if (field.hints.has('date') || /date/i.test(field.name)) {
+    dataType = 'date';
+  } else if (field.hints.has('boolean')) {
+    dataType = 'boolean';
+  } else if (field.hints.has('number') || classification === 'measure') {
+    dataType = 'number';
+  } else {
+    dataType = 'string';
+  }
+
+  const evidence = [`Read at line${field.lines.size > 1 ? 's' : ''} ${[...field.lines].sort((a, b) => a - b).join(', ')}`];
+  if (field.multiselect) evidence.push('passed to ConcatenateMultiselect');
+  if (field.queryUsage.has('scope')) evidence.push('used in a scope clause');
+  if (field.queryUsage.has('measure')) evidence.push('assigned to a measure');
+  if (field.required) evidence.push('checked for a missing value');
+  for (const hint of field.hints) {
+    if (hint !== dataType) continue;
+    evidence.push(`used as ${hint === 'array' ? 'an array' : `a ${hint}`}`);
+  }
+
+  return {
+    field: {
+      name: field.name,
+      dataType,
+      classification,
+      required: field.required,
+      description: evidence.slice(1).join('; ')
+    },
+    evidence
+  };
+}
+
+// Text of every string literal and template in the module
+function collectStrings(ast) {
+  const strings = [];
+  walk.simple(ast, {
+    Literal(node) {
+      if (typeof node.value === 'string') strings.push(node.value);
+    },
+    TemplateElement(node) {
+      strings.push(node.value.cooked || '');
+    }
+  });
+  return strings.join('\n');
+}
+
+// Pick one of the four action button types from the query text and fields
+function classifyModule(ast, fields, usage) {
+  const strings = collectStrings(ast);
+  const names = fields.map(field => field.name);
+  const reasons = [];
+
+  const deleteSignals = [];
+  if (/\bdelete\b/i.test(strings)) deleteSignals.push('query text mentions delete');
+  if (/=\s*null\b/i.test(strings)) deleteSignals.push('measures are set to null');
+  if (names.some(name => /delete|remove/i.test(name))) deleteSignals.push('a field name refers to deleting');
+
+  const editSignals = [];
+  if (fields.some(field => field.classification === 'measure')) editSignals.push('measures are assigned from fields');
+
+  const checkboxSignals = [];
+  if (names.some(name => /selected|checkbox|checked|selection/i.test(name))) checkboxSignals.push('a field holds selected rows');
+  if ([...usage.values()].some(field => field.hints.has('array') && !field.multiselect)) {
+    checkboxSignals.push('a field is iterated as a list of rows');
+  }
+
+  const massSignals = [];
+  if ([...usage.values()].some(field => field.multiselect)) massSignals.push('dimensions are filtered with ConcatenateMultiselect');
+  if (/\bcartesian\s+scope\b/i.test(strings)) massSignals.push('the update uses a cartesian scope');
+
+  const isDelete = deleteSignals.length > editSignals.length;
+  const isCheckbox = checkboxSignals.length > massSignals.length;
+
+  reasons.push(...(isDelete ? deleteSignals : editSignals), ...(isCheckbox ? checkboxSignals : massSignals));
+
+  const decided = [isDelete ? deleteSignals : editSignals, isCheckbox ? checkboxSignals : massSignals]
+    .filter(signals => signals.length > 0).length;
+
+  return {
+    type: `${isCheckbox ? 'Checkbox' : 'Mass'} ${isDelete ? 'Delete' : 'Edit/Add'}`,
+    confidence: ['low', 'medium', 'high'][decided],
+    reasons
+  };
+}
+
+// Analyze module source and propose a field binding and action button type
+function analyzeModule(source) {
+  const code = extractCode(source);
+  if (!code) {
+    throw importError('Module code is required');
+  }
+
+  let ast;
+  try {
+    ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch (error) {
+    throw importError(`Module could not be parsed: ${error.message}`);
+  }
+
+  const defineCall = findDefineCall(ast);
+  const [nameArg, , factory] = defineCall ? defineCall.arguments : [];
+  if (!defineCall || !isFunction(factory)) {
+    throw importError("Module is not wrapped in define('o9.<Module>', [...], function(){...})");
+  }
+
+  const moduleName = nameArg && isStringLiteral(nameArg) ? nameArg.value : null;
+  const projectName = moduleName ? moduleName.replace(/^o9\./, '') : null;
+
+  const warnings = [];
+  const implementation = actionButtonCallBody(factory);
+  if (!implementation) {
+    warnings.push('ActionButtonCall could not be found; the whole module was analyzed');
+  }
+
+  const scope = implementation || factory;
+  const paramsVariables = findParamsVariables(scope);
+  if (paramsVariables.size === 0) {
+    warnings.push('No JSON.parse(o9Params) result was found, so no fields could be traced');
+  }
+
+  const traced = traceParams(scope, paramsVariables);
+  warnings.push(...traced.warnings);
+
+  const inferred = [...traced.usage.values()]
+    .sort((a, b) => a.order - b.order)
+    .map(inferField);
+  const fields = inferred.map(entry => entry.field);
+
+  const actionButtonType = classifyModule(ast, fields, traced.usage);
+  const validation = validateGeneratedCode(code, { projectName });
+
+  return {
+    moduleName,
+    projectName,
+    actionButtonType,
+    fieldBinding: {
+      name: `${projectName || 'Imported module'} fields`,
+      actionButtonType: actionButtonType.type,
+      description: `Reverse-engineered from ${moduleName || 'an imported module'}`,
+      fields
+    },
+    fields: inferred.map(entry => ({ name: entry.field.name, evidence: entry.evidence })),
+    warnings,
+    validation: {
+      valid: validation.valid,
+      errors: validation.errors,
+      warnings: validation.warnings
+    }
+  };
+}
+
+module.exports = {
+  analyzeModule
+};
@@ -0,0 +1,105 @@
+const { moduleFiles } = require('./testGenerator');
+const { writeZip } = require('./archive');
+
+// Deployable bundle of a project's generated modules.
+//
+// Records that produce the same module file (regenerations saved as new
+// records, or the same project generated twice) collapse to the one changed
+// last; regenerations, restores and manual edits all set generatedAt. Each
+// module gets a folder with its code, test file, the field binding it was
+// generated from and its business logic as a README; manifest.json at the
+// root lists versions and timestamps.
+
+// Latest record per module file in a project, ordered by module name
+async function latestModules(workspace, projectId) {
+  const records = await workspace.documents.generatedCode.find({ filter: { projectId }, orderBy: 'generatedAt' });
+
+  const modules = new Map();
+  for (const record of records) {
+    const { moduleFileName } = moduleFiles(record.projectName);
+    const current = modules.get(moduleFileName);
+    if (!current || (record.generatedAt || '') > (current.generatedAt || '')) {
+      modules.set(moduleFileName, record);
+    }
+  }
+
+  return [...modules.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, record]) => record);
+}
+
+function buildReadme(record, moduleName) {
+  const lines = [
+    `# ${record.projectName}`,
+    '',
+    `- Module: \`${moduleName}\``,
+    `- Action button type: ${record.actionButtonType}`,
+    `- Version: ${record.version}${record.revision ? ` (revision ${record.revision})` : ''}`,
+    `- Generated: ${record.generatedAt}`
+  ];
+
+  if (record.lastEditedAt) {
+    lines.push(`- Last edited: ${record.lastEditedAt}${record.lastEditedBy ? ` by ${record.lastEditedBy}` : ''}`);
+  }
+  if (record.fieldBinding) {
+    lines.push(`- Field binding: ${record.fieldBinding.name || record.fieldBindingId} (fieldBinding.json)`);
+  }
+  if (record.validation && !record.validation.valid) {
+    lines.push('- ⚠️ The module did not pass validation when it was generated');
+  }
+
+  lines.push('', '## Business logic', '', record.businessLogic || '', '');
+  return lines.join('\n');
+}
+
+// Build the zip for a project's latest module records into output; returns the manifest
+async function writeProjectArchive(projectId, records, output) {
+  const files = [];
+  const manifest = {
+    projectId,
+    projectName: records[0].projectName,
+    exportedAt: new Date().toISOString(),
+    modules: []
+  };
+
+  for (const record of records) {
+    const { moduleName, moduleFileName } = moduleFiles(record.projectName);
+    const folder = moduleFileName.replace(/\.js$/, '');
+
+    files.push({ name: `${folder}/${moduleFileName}`, content: record.generatedCode });
+    if (record.testCode) {
+      files.push({ name: `${folder}/${record.testFileName}`, content: record.testCode });
+    }
+    if (record.fieldBinding) {
+      files.push({ name: `${folder}/fieldBinding.json`, content: JSON.stringify(record.fieldBinding, null, 2) });
+    }
+    files.push({ name: `${folder}/README.md`, content: buildReadme(record, moduleName) });
+
+    manifest.modules.push({
+      moduleName,
+      file: `${folder}/${moduleFileName}`,
+      testFile: record.testCode ? `${folder}/${record.testFileName}` : null,
+      codeId: record.id,
+      projectName: record.projectName,
+      actionButtonType: record.actionButtonType,
+      fieldBindingId: record.fieldBindingId,
+      version: record.version,
+      revision: record.revision ?? null,
+      status: record.status,
+      valid: record.validation ? record.validation.valid : null,
+      generatedAt: record.generatedAt,
+      lastEditedAt: record.lastEditedAt || null,
+      lastEditedBy: record.lastEditedBy || null
+    });
+  }
+
+  files.push({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+  await writeZip(output, files);
+  return manifest;
+}
+
+module.exports = {
+  latestModules,
+  writeProjectArchive
+};
@@ -0,0 +1,310 @@
+const { v4: uuidv4 } = require('uuid');
+const { expectedModuleName } = require('./codeValidator');
+const { describeModelMetadata } = require('./fieldSchema');
+
+// Prompt templates used for AI generation.
+//
+// Templates are stored per workspace and action button type in the
+// promptTemplates container. Saving a template never changes an existing
+// document: it adds the next version for that type, so every generatedCode
+// record can point at the exact prompt that produced it. Generation uses the
+// latest active version for the request's type, then the latest active
+// 'default' version, then the built-in prompt below.
+//
+// Placeholders are written as {{name}}. Optional sections (model metadata,
+// examples, reference documents, the module being modified) render as
+// complete blocks with their headings, or as nothing when there is nothing
+// to include.
+
+const DEFAULT_TYPE = 'default';
+
+const PLACEHOLDERS = {
+  projectName: 'Project name as entered',
+  moduleName: 'Expected module name, e.g. o9.MyProject',
+  actionButtonType: 'Action button type of the request',
+  businessLogic: 'Business logic description',
+  fields: 'Field binding fields as JSON',
+  modelMetadata: 'O9 MODEL METADATA section with the attribute paths, measures and value rules of the fields',
+  examples: 'REFERENCE EXAMPLES section with the retrieved example modules',
+  referenceDocuments: 'REFERENCE DOCUMENTATION section with retrieved documents',
+  currentModule: 'CURRENT MODULE section with the code being modified (regeneration only)'
+};
+
+const BUILT_IN = {
+  id: 'built-in',
+  actionButtonType: DEFAULT_TYPE,
+  version: 0,
+  description: 'Built-in prompt',
+  active: true,
+  systemPrompt: `You are an expert o9 supply chain platform JavaScript developer. You specialize in generating Action Button JavaScript modules following EXACT syntax patterns.
+
+CRITICAL REQUIREMENTS:
+1. Follow the EXACT syntax structure from provided examples
+2. Only change the module name and field binding references
+3. Preserve ALL validation patterns, query structures, and error handling
+4. Use field bindings data to construct proper scope statements
+5. Maintain identical code structure to examples
+
+FIELD BINDING CLASSIFICATIONS:
+- Dimensions: Used for filtering and scope definition (SKU, Store, VersionName, dates)
+- Measures: Target fields for data updates (values to be changed)
+- Parameters: Control flags and options (boolean flags, settings)
+
+STANDARD STRUCTURE:
+\`\`\`javascript
+define('o9.ModuleName',['o9/data/query', 'o9/data/cellset'],function(){
+    var ActionButtonCall = function(o9Params) {
+        var parsedParams = JSON.parse(o9Params);
+        
+        // Logging for all field bindings
+        // Validation logic
+        // Update queries with proper scope
+        
+        return RuleOutputToUI;
+    };
+    
+    var ConcatenateMultiselect = function(value){
+        if (Array.isArray(value)) {
+            return value.join('","');
+        }
+        return value;
+    };
+    
+    return {
+        ActionButtonCall:ActionButtonCall
+    };
+});
+\`\`\`
+
+You must generate code that matches the examples exactly, changing only module names and field references.`,
+  userPrompt: `Generate an o9 Action Button JavaScript module with these specifications:
+
+PROJECT NAME: {{projectName}}
+ACTION BUTTON TYPE: {{actionButtonType}}
+BUSINESS LOGIC: {{businessLogic}}
+
+FIELD BINDINGS:
+{{fields}}
+
+{{modelMetadata}}
+{{examples}}
+
+{{referenceDocuments}}
+
+{{currentModule}}
+
+Generate the complete JavaScript module following the exact patterns from the examples. The module name should be "{{moduleName}}"`
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+function promptError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function placeholdersIn(text) {
+  return [...String(text).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+// Values for every placeholder of a generation request
+function promptValues({ projectName, actionButtonType, businessLogic, fieldBinding, examples = [], referenceDocuments = [], baseModule = null }) {
+  return {
+    projectName,
+    moduleName: expectedModuleName(projectName),
+    actionButtonType,
+    businessLogic,
+    fields: JSON.stringify(fieldBinding.fields, null, 2),
+    modelMetadata: describeModelMetadata(fieldBinding.fields),
+    examples: examples.length > 0
+      ? `REFERENCE EXAMPLES:\n${examples.map(ex => `--- ${ex.fileName} ---\n${ex.content}`).join('\n\n')}`
+      : '',
+    referenceDocuments: referenceDocuments.length > 0
+      ? `REFERENCE DOCUMENTATION (for context only, do not copy into the module):\n${referenceDocuments.map(doc => `--- ${doc.fileName} ---\n${doc.content}`).join('\n\n')}`
+      : '',
+    currentModule: baseModule
+      ? `CURRENT MODULE (start from this code and apply only the requested modifications${baseModule.edited ? '; it contains manual edits by the user that must be preserved' : ''}):\n${baseModule.code}`
+      : ''
+  };
+}
+
+// Substitute placeholders in one pass so values containing {{...}} are left alone
+function fill(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? '');
+}
+
+// System and user messages for a request rendered with a template
+function renderPrompt(template, request) {
+  const values = promptValues(request);
+  return [
+    { role: 'system', content: fill(template.systemPrompt, values) },
+    { role: 'user', content: fill(template.userPrompt, values) }
+  ];
+}
+
+// Short reference stored on generatedCode records
+function templateReference(template) {
+  return {
+    id: template.id,
+    actionButtonType: template.actionButtonType,
+    version: template.version
+  };
+}
+
+// All stored versions for a type, newest first
+async function listVersions(workspace, actionButtonType) {
+  return workspace.documents.promptTemplates.find({
+    filter: { actionButtonType },
+    orderBy: 'version'
+  });
+}
+
+async function latestActive(workspace, actionButtonType) {
+  const [latest] = await workspace.documents.promptTemplates.find({
+    filter: { actionButtonType, active: true },
+    orderBy: 'version',
+    limit: 1
+  });
+  return latest || null;
+}
+
+// Template used for a type, with where it came from: 'override', 'default'
+// or 'built-in'
+async function resolvePromptTemplate(workspace, actionButtonType) {
+  if (actionButtonType && actionButtonType !== DEFAULT_TYPE) {
+    const override = await latestActive(workspace, actionButtonType);
+    if (override) return { template: override, source: 'override' };
+  }
+
+  const stored = await latestActive(workspace, DEFAULT_TYPE);
+  if (stored) return { template: stored, source: 'default' };
+
+  return { template: BUILT_IN, source: 'built-in' };
+}
+
+// A specific version of a type; version 0 of 'default' is the built-in prompt
+async function getTemplate(workspace, actionButtonType, version) {
+  const number = parseInt(version);
+  if (!Number.isInteger(number) || number < 0) {
+    throw promptError(`Invalid version '${version}'`);
+  }
+  if (actionButtonType === DEFAULT_TYPE && number === 0) {
+    return BUILT_IN;
+  }
+
+  const [template] = await workspace.documents.promptTemplates.find({
+    filter: { actionButtonType, version: number },
+    limit: 1
+  });
+  return template || null;
+}
+
+// The built-in prompt followed by the latest version of each stored type
+async function listTemplates(workspace) {
+  const templates = await workspace.documents.promptTemplates.find({ orderBy: 'version' });
+
+  const latest = new Map();
+  for (const template of templates) {
+    if (!latest.has(template.actionButtonType)) {
+      latest.set(template.actionButtonType, template);
+    }
+  }
+
+  return [BUILT_IN, ...[...latest.values()].sort((a, b) => a.actionButtonType.localeCompare(b.actionButtonType))];
+}
+
+// Save the next version for a type. A prompt left out of the body is carried
+// over from the template the type currently resolves to. Returns the saved
+// version and warnings about missing placeholders.
+async function saveTemplate(workspace, actionButtonType, { systemPrompt, userPrompt, description, createdBy = null } = {}) {
+  if (!actionButtonType || !actionButtonType.trim()) {
+    throw promptError('actionButtonType is required');
+  }
+  if (systemPrompt === undefined && userPrompt === undefined) {
+    throw promptError('systemPrompt or userPrompt is required');
+  }
+  for (const [name, value] of Object.entries({ systemPrompt, userPrompt })) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      throw promptError(`${name} must be a non-empty string`);
+    }
+  }
+
+  const { template: current } = await resolvePromptTemplate(workspace, actionButtonType);
+  const next = {
+    systemPrompt: systemPrompt ?? current.systemPrompt,
+    userPrompt: userPrompt ?? current.userPrompt
+  };
+
+  const unknown = [...new Set(placeholdersIn(next.systemPrompt + next.userPrompt))]
+    .filter(name => !PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw promptError(`Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${Object.keys(PLACEHOLDERS).map(name => `{{${name}}}`).join(', ')}`);
+  }
+
+  const used = new Set(placeholdersIn(next.userPrompt));
+  const warnings = ['businessLogic', 'fields', 'moduleName']
+    .filter(name => !used.has(name))
+    .map(name => `userPrompt does not include {{${name}}}`);
+
+  const [previous] = await listVersions(workspace, actionButtonType);
+  const template = {
+    id: uuidv4(),
+    actionButtonType,
+    version: previous ? previous.version + 1 : 1,
+    description: description || '',
+    systemPrompt: next.systemPrompt,
+    userPrompt: next.userPrompt,
+    active: true,
+    createdAt: new Date().toISOString(),
+    createdBy
+  };
+
+  const resource = await workspace.documents.promptTemplates.create(template);
+  return { template: resource, warnings };
+}
+
+// Disable one version, or every version of a type, so generation falls back
+// to the previous active version, the default template or the built-in one.
+// Returns the number of versions disabled.
+async function disableTemplate(workspace, actionButtonType, version) {
+  let templates;
+  if (version !== undefined) {
+    const template = await getTemplate(workspace, actionButtonType, version);
+    if (template === BUILT_IN) {
+      throw promptError('The built-in prompt cannot be disabled');
+    }
+    templates = template ? [template] : [];
+  } else {
+    templates = await listVersions(workspace, actionButtonType);
+  }
+
+  if (templates.length === 0) {
+    throw promptError(`No prompt template for '${actionButtonType}'${version !== undefined ? ` version ${version}` : ''}`, 404);
+  }
+
+  let disabled = 0;
+  for (const template of templates.filter(template => template.active)) {
+    await workspace.documents.promptTemplates.replace(template.id, actionButtonType, {
+      ...template,
+      active: false,
+      disabledAt: new Date().toISOString()
+    });
+    disabled++;
+  }
+  return disabled;
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  PLACEHOLDERS,
+  BUILT_IN,
+  renderPrompt,
+  templateReference,
+  resolvePromptTemplate,
+  getTemplate,
+  listVersions,
+  listTemplates,
+  saveTemplate,
+  disableTemplate
+};
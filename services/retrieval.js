@@ -0,0 +1,153 @@
+const { providerName, llmClient } = require('../llm');
+const { isJavaScriptItem, loadEmbeddings, embeddedChunkCount, scoreChunks } = require('./embeddings');
+const { hasText, readItemText } = require('./textExtraction');
+const { knowledgeIndex } = require('./searchIndex');
+
+// Example retrieval for code generation.
+//
+// Only the requesting workspace's knowledge base is searched. Examples of
+// the requested action button type are ranked by embedding
+// similarity to the business logic and field names. Items uploaded before
+// embeddings existed (or embedded by another provider) rank after scored
+// items. When no item can be scored by embedding, examples are ranked with
+// the BM25 search index instead, and by recency as a last resort.
+//
+// Other documents with text (markdown, extracted PDF and screenshot text)
+// are ranked the same way and passed to the model as reference material.
+
+const DEFAULT_EXAMPLE_LIMIT = parseInt(process.env.RAG_EXAMPLE_LIMIT || '3');
+const DEFAULT_DOCUMENT_LIMIT = parseInt(process.env.RAG_DOCUMENT_LIMIT || '2');
+const DOCUMENT_MAX_CHARS = parseInt(process.env.RAG_DOCUMENT_MAX_CHARS || '4000');
+
+function buildRetrievalQuery(businessLogic, fields = []) {
+  const fieldNames = fields.map(f => f && f.name).filter(Boolean).join(', ');
+  return `${businessLogic}\n\nFields: ${fieldNames}`;
+}
+
+// Rank candidates by BM25 score; items without a matching term keep recency order
+async function rankLexically(workspace, candidates, queryText, actionButtonType) {
+  let hits;
+  try {
+    hits = await knowledgeIndex.search(queryText, {
+      workspaceId: workspace.id,
+      actionButtonType,
+      ids: candidates.map(item => item.id),
+      limit: candidates.length
+    });
+  } catch (error) {
+    console.warn('⚠️ Search index unavailable, falling back to most recent examples:', error.message);
+    hits = [];
+  }
+
+  const scores = new Map(hits.map(hit => [hit.id, hit.score]));
+  const scored = candidates
+    .filter(item => scores.has(item.id))
+    .map(item => ({ item, score: scores.get(item.id) }))
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return { method: 'recency', ranked: candidates.map(item => ({ item, score: null })) };
+  }
+
+  const unscored = candidates
+    .filter(item => !scores.has(item.id))
+    .map(item => ({ item, score: null }));
+
+  return { method: 'bm25', ranked: [...scored, ...unscored] };
+}
+
+// Rank candidate items against the query; returns [{ item, score }]
+async function rankBySimilarity(workspace, candidates, queryText, actionButtonType) {
+  const embedded = candidates.filter(item => item.embeddings?.provider === providerName && embeddedChunkCount(item) > 0);
+  if (embedded.length === 0) {
+    return rankLexically(workspace, candidates, queryText, actionButtonType);
+  }
+
+  let queryVector;
+  try {
+    queryVector = await llmClient.generateEmbedding(queryText);
+  } catch (error) {
+    console.warn('⚠️ Query embedding failed, falling back to lexical search:', error.message);
+    return rankLexically(workspace, candidates, queryText, actionButtonType);
+  }
+
+  const scored = [];
+  for (const item of embedded) {
+    const chunks = await loadEmbeddings(workspace, item);
+    scored.push({ item, score: Number(scoreChunks(queryVector, chunks).toFixed(4)) });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  const unscored = candidates
+    .filter(item => !embedded.includes(item))
+    .map(item => ({ item, score: null }));
+
+  return { method: 'embedding', ranked: [...scored, ...unscored] };
+}
+
+// Load the content of the top ranked items, skipping any that cannot be read
+async function loadRanked(ranked, limit, kind) {
+  const loaded = [];
+
+  for (const { item, score } of ranked) {
+    if (loaded.length >= limit) break;
+
+    try {
+      const content = await readItemText(item);
+      loaded.push({
+        id: item.id,
+        fileName: item.fileName,
+        description: item.description,
+        content,
+        score
+      });
+      console.log(`✅ Downloaded ${kind}: ${item.fileName}${score !== null ? ` (score ${score})` : ''}`);
+    } catch (downloadError) {
+      console.warn(`⚠️ Could not download ${kind} ${item.fileName}:`, downloadError.message);
+    }
+  }
+
+  return loaded;
+}
+
+async function findKnowledgeItems(workspace, actionButtonType) {
+  return workspace.documents.knowledgeBase.find({
+    filter: { type: 'knowledge', actionButtonType },
+    orderBy: 'uploadedAt'
+  });
+}
+
+// Select and download the reference examples for a generation request
+async function retrieveExamples({ workspace, actionButtonType, businessLogic, fields, limit = DEFAULT_EXAMPLE_LIMIT }) {
+  const items = await findKnowledgeItems(workspace, actionButtonType);
+
+  const candidates = items.filter(isJavaScriptItem);
+  console.log(`📚 Found ${candidates.length} knowledge base examples`);
+
+  const { method, ranked } = await rankBySimilarity(workspace, candidates, buildRetrievalQuery(businessLogic, fields), actionButtonType);
+  const examples = await loadRanked(ranked, limit, 'example');
+
+  return { method, examples };
+}
+
+// Select supporting documentation (non-code items with text) for a generation request
+async function retrieveReferenceDocuments({ workspace, actionButtonType, businessLogic, fields, limit = DEFAULT_DOCUMENT_LIMIT }) {
+  if (limit <= 0) return { method: 'none', documents: [] };
+
+  const items = await findKnowledgeItems(workspace, actionButtonType);
+
+  const candidates = items.filter(item => !isJavaScriptItem(item) && hasText(item));
+  console.log(`📄 Found ${candidates.length} knowledge base documents`);
+
+  const { method, ranked } = await rankBySimilarity(workspace, candidates, buildRetrievalQuery(businessLogic, fields), actionButtonType);
+  const loaded = await loadRanked(ranked, limit, 'document');
+
+  return {
+    method,
+    documents: loaded.map(doc => ({ ...doc, content: doc.content.slice(0, DOCUMENT_MAX_CHARS) }))
+  };
+}
+
+module.exports = {
+  retrieveExamples,
+  retrieveReferenceDocuments
+};
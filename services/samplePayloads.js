@@ -0,0 +1,145 @@
+const { formatDate } = require('./fieldSchema');
+
+// Sample o9Params payloads built from field binding definitions.
+//
+// Values are picked from the field name so payloads look like real o9
+// selections, and are fully deterministic so they can be used as fixtures.
+// Fields with allowedValues use the first allowed values, and dates are
+// written in the field's dateFormat, so payloads keep the binding's rules.
+
+// Member names used for dimension-like fields, matched by field name
+const MEMBER_SAMPLES = [
+  { pattern: /version/i, members: ['CurrentWorkingView', 'Scenario 1', 'Scenario 2'] },
+  { pattern: /sku|item|product/i, members: ['SKU-1001', 'SKU-1002', 'SKU-1003'] },
+  { pattern: /store|location|site|plant|warehouse|dc/i, members: ['Store-001', 'Store-002', 'Store-003'] },
+  { pattern: /region|country|market/i, members: ['North America', 'Europe', 'Asia Pacific'] },
+  { pattern: /customer|account/i, members: ['Customer-A', 'Customer-B', 'Customer-C'] },
+  { pattern: /channel/i, members: ['Retail', 'Online', 'Wholesale'] },
+  { pattern: /measure/i, members: ['Safety Stock', 'Forecast', 'Sell Through'] }
+];
+
+const START_DATE_PATTERN = /start|from|begin/i;
+const END_DATE_PATTERN = /end|to$|until|through/i;
+
+function sampleMembers(field, count) {
+  const sample = MEMBER_SAMPLES.find(entry => entry.pattern.test(field.name));
+  const members = sample ? sample.members : [1, 2, 3].map(n => `${field.name} ${n}`);
+  return members.slice(0, count);
+}
+
+const RANGE_START = '2025-01-06';
+const RANGE_END = '2025-03-31';
+
+// An ISO date in the field's dateFormat, if it has one
+function dateFor(field, isoDate) {
+  return field.dateFormat ? formatDate(field.dateFormat, isoDate) : isoDate;
+}
+
+function sampleDate(field) {
+  return dateFor(field, END_DATE_PATTERN.test(field.name) ? RANGE_END : RANGE_START);
+}
+
+// Helper function to build a sample value for a single field
+function sampleValue(field, { arraySize = 2 } = {}) {
+  if (Array.isArray(field.allowedValues) && field.allowedValues.length > 0) {
+    return field.dataType === 'array' ? field.allowedValues.slice(0, arraySize) : field.allowedValues[0];
+  }
+
+  switch (field.dataType) {
+    case 'number':
+      return field.classification === 'measure' ? 125.5 : 1;
+    case 'boolean':
+      return true;
+    case 'date':
+      return sampleDate(field);
+    case 'array':
+      return sampleMembers(field, arraySize);
+    default:
+      return sampleMembers(field, 1)[0];
+  }
+}
+
+// Build an o9Params object with a value for every field
+function buildSampleParams(fields = [], options = {}) {
+  const params = {};
+  for (const field of fields) {
+    if (field && field.name) {
+      params[field.name] = sampleValue(field, options);
+    }
+  }
+  return params;
+}
+
+// Find the start/end pair of date fields, if the binding has one
+function findDateRange(fields) {
+  const dates = fields.filter(f => f.dataType === 'date');
+  const start = dates.find(f => START_DATE_PATTERN.test(f.name)) || dates[0];
+  const end = dates.find(f => f !== start && END_DATE_PATTERN.test(f.name)) || dates.find(f => f !== start);
+  return start && end ? { start, end } : null;
+}
+
+// Build the baseline payload plus edge-case variants for a binding's fields
+function buildSamplePayloads(fields = []) {
+  const validFields = fields.filter(f => f && f.name);
+  const arrayFields = validFields.filter(f => f.dataType === 'array');
+  const optionalFields = validFields.filter(f => !f.required);
+  const dateRange = findDateRange(validFields);
+
+  const payloads = [
+    {
+      variant: 'baseline',
+      description: 'Every field populated, multi-select fields with several members',
+      o9Params: buildSampleParams(validFields)
+    }
+  ];
+
+  if (arrayFields.length > 0) {
+    payloads.push({
+      variant: 'single-select',
+      description: 'Multi-select fields with exactly one member',
+      o9Params: buildSampleParams(validFields, { arraySize: 1 })
+    });
+
+    payloads.push({
+      variant: 'multi-select',
+      description: 'Multi-select fields with three members',
+      o9Params: buildSampleParams(validFields, { arraySize: 3 })
+    });
+
+    const emptyArrays = buildSampleParams(validFields);
+    arrayFields.forEach(f => { emptyArrays[f.name] = []; });
+    payloads.push({
+      variant: 'empty-arrays',
+      description: `Empty selection for ${arrayFields.map(f => f.name).join(', ')}`,
+      o9Params: emptyArrays
+    });
+  }
+
+  if (optionalFields.length > 0) {
+    const missingOptional = buildSampleParams(validFields);
+    optionalFields.forEach(f => { delete missingOptional[f.name]; });
+    payloads.push({
+      variant: 'missing-optional',
+      description: `Optional fields omitted: ${optionalFields.map(f => f.name).join(', ')}`,
+      o9Params: missingOptional
+    });
+  }
+
+  if (dateRange) {
+    const reversed = buildSampleParams(validFields);
+    reversed[dateRange.start.name] = dateFor(dateRange.start, RANGE_END);
+    reversed[dateRange.end.name] = dateFor(dateRange.end, RANGE_START);
+    payloads.push({
+      variant: 'reversed-date-range',
+      description: `${dateRange.start.name} is after ${dateRange.end.name}`,
+      o9Params: reversed
+    });
+  }
+
+  return payloads;
+}
+
+module.exports = {
+  buildSampleParams,
+  buildSamplePayloads
+};
@@ -0,0 +1,87 @@
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { extractCode } = require('./codeValidator');
+
+// Dry-run harness for generated o9 Action Button modules.
+//
+// Stored modules come from authors and from the model, so they are never
+// evaluated in the server process. Each dry run forks services/sandboxRunner.js
+// under Node's permission model (no file system access beyond the runner
+// itself, no child processes or workers), with an empty environment, a small
+// heap and a temp working directory. Only the code, the payload and the JSON
+// result cross the process boundary. The runner enforces the timeout on the
+// module; the parent kills the process if it has not answered shortly after.
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS || '2000');
+const MEMORY_LIMIT_MB = parseInt(process.env.SANDBOX_MEMORY_MB || '64');
+
+// Allowance for starting the runner on top of the module's own timeout
+const STARTUP_ALLOWANCE_MS = 3000;
+
+const RUNNER = path.join(__dirname, 'sandboxRunner.js');
+
+// Node 23.5 renamed --experimental-permission to --permission
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : '--experimental-permission';
+
+function failure(o9Params, message, startedAt) {
+  return {
+    success: false,
+    moduleName: null,
+    o9Params,
+    queries: [],
+    output: null,
+    logs: [],
+    error: { message, line: null, column: null },
+    durationMs: Date.now() - startedAt
+  };
+}
+
+// Run a generated module's ActionButtonCall against mock o9 APIs.
+// o9Params may be an object or a JSON string; it is passed as a string like o9 does.
+function dryRunModule(code, o9Params, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  const params = typeof o9Params === 'string' ? o9Params : JSON.stringify(o9Params || {});
+
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+      resolve(result);
+    };
+
+    const child = fork(RUNNER, [], {
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${RUNNER}`,
+        `--max-old-space-size=${MEMORY_LIMIT_MB}`,
+        '--no-warnings'
+      ],
+      env: {},
+      cwd: os.tmpdir(),
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      serialization: 'json'
+    });
+
+    const timer = setTimeout(() => {
+      finish(failure(params, `Dry run did not finish within ${timeout} ms and was stopped`, startedAt));
+    }, timeout + STARTUP_ALLOWANCE_MS);
+
+    child.once('message', result => finish({ ...result, o9Params: params }));
+    child.once('error', error => finish(failure(params, `Sandbox could not start: ${error.message}`, startedAt)));
+    child.once('exit', (exitCode, signal) => {
+      finish(failure(params, `Sandbox exited before returning a result (${signal || `code ${exitCode}`})`, startedAt));
+    });
+
+    child.send({ code: extractCode(code), o9Params: params, timeout });
+  });
+}
+
+module.exports = {
+  dryRunModule
+};
@@ -0,0 +1,190 @@
+const vm = require('vm');
+
+// Child process side of the dry-run sandbox (see services/sandbox.js).
+//
+// Receives { code, o9Params, timeout } over IPC, evaluates the module in a vm
+// context with a small AMD loader and mock implementations of o9/data/query
+// and o9/data/cellset, and sends back the recorded queries, logs and output
+// as plain JSON. Every query the module issues is recorded instead of
+// executed. The process runs under Node's permission model with an empty
+// environment, so code that escapes the vm context still cannot touch the
+// file system or start processes, and the parent kills it when it overruns.
+
+const QUERY_METHODS = ['exec', 'execute', 'run', 'runQuery', 'executeQuery', 'query'];
+
+// Helper function to stringify values the module logs or returns
+function describe(value) {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+// Mock cellset returned for every query; empty but safe to iterate
+function createCellSet() {
+  const cellSet = {
+    rows: [],
+    columns: [],
+    rowCount: 0,
+    columnCount: 0,
+    getRows: () => [],
+    getColumns: () => [],
+    getRowCount: () => 0,
+    getColumnCount: () => 0,
+    getCell: () => null,
+    getValue: () => null,
+    getData: () => [],
+    toArray: () => [],
+    forEach: () => {}
+  };
+
+  // Unknown members resolve to no-op functions so exploratory calls do not crash
+  return new Proxy(cellSet, {
+    get(target, property) {
+      if (property in target || typeof property === 'symbol') return target[property];
+      return () => null;
+    }
+  });
+}
+
+// Mock o9/data/query module; records each query string it receives
+function createQueryModule(queries) {
+  const record = method => (queryString, ...args) => {
+    queries.push({
+      index: queries.length + 1,
+      method,
+      query: describe(queryString),
+      args: args.length > 0 ? args.map(describe) : undefined
+    });
+    return createCellSet();
+  };
+
+  const queryModule = record('call');
+  for (const method of QUERY_METHODS) {
+    queryModule[method] = record(method);
+  }
+  return queryModule;
+}
+
+// Mock o9/data/cellset module
+function createCellSetModule() {
+  const cellSetModule = function () {
+    return createCellSet();
+  };
+  cellSetModule.create = () => createCellSet();
+  cellSetModule.fromQuery = () => createCellSet();
+  return cellSetModule;
+}
+
+// Run a module's ActionButtonCall with o9Params (a JSON string)
+function runModule(code, o9Params, timeout) {
+  const startedAt = Date.now();
+  const queries = [];
+  const logs = [];
+  const modules = {
+    'o9/data/query': createQueryModule(queries),
+    'o9/data/cellset': createCellSetModule()
+  };
+  const definitions = [];
+
+  const resolve = name => {
+    if (!(name in modules)) {
+      throw new Error(`Module '${name}' is not available in the sandbox`);
+    }
+    return modules[name];
+  };
+
+  // Minimal AMD loader: define(name?, deps?, factory)
+  const define = (...args) => {
+    const factory = args.pop();
+    const deps = Array.isArray(args[args.length - 1]) ? args.pop() : [];
+    const name = typeof args[0] === 'string' ? args[0] : null;
+    const exported = typeof factory === 'function' ? factory(...deps.map(resolve)) : factory;
+
+    definitions.push(name);
+    if (name) modules[name] = exported;
+  };
+  define.amd = {};
+
+  const amdRequire = (deps, callback) => {
+    if (typeof deps === 'string') return resolve(deps);
+    const resolved = deps.map(resolve);
+    if (typeof callback === 'function') callback(...resolved);
+    return undefined;
+  };
+
+  const log = level => (...args) => logs.push({ level, message: args.map(describe).join(' ') });
+
+  // Microtasks run after each evaluation, inside its timeout, so promise
+  // chains cannot keep the process busy once the call returns
+  const context = vm.createContext({
+    define,
+    require: amdRequire,
+    console: {
+      log: log('log'),
+      info: log('info'),
+      warn: log('warn'),
+      error: log('error'),
+      debug: log('debug')
+    }
+  }, {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  const result = {
+    success: false,
+    moduleName: null,
+    o9Params,
+    queries,
+    output: null,
+    logs,
+    error: null,
+    durationMs: 0
+  };
+
+  try {
+    vm.runInContext(code, context, { filename: 'generated-module.js', timeout });
+
+    result.moduleName = definitions.find(name => name && name.startsWith('o9.')) || definitions[0] || null;
+    const exported = result.moduleName ? modules[result.moduleName] : null;
+
+    if (!exported || typeof exported.ActionButtonCall !== 'function') {
+      throw new Error('Module did not define an exported ActionButtonCall function');
+    }
+
+    // Invoke inside the context so the timeout also covers the call itself
+    context.__actionButtonCall = exported.ActionButtonCall;
+    context.__o9Params = o9Params;
+    const output = vm.runInContext('__actionButtonCall(__o9Params)', context, { timeout });
+
+    const serialized = JSON.stringify(output);
+    result.output = serialized === undefined ? null : JSON.parse(serialized);
+    result.success = true;
+  } catch (error) {
+    const stack = error && typeof error.stack === 'string' ? error.stack : '';
+    const location = stack.match(/generated-module\.js:(\d+)(?::(\d+))?/);
+    result.error = {
+      message: error && typeof error.message === 'string' ? error.message : describe(error),
+      line: location ? parseInt(location[1]) : null,
+      column: location && location[2] ? parseInt(location[2]) : null
+    };
+  }
+
+  result.durationMs = Date.now() - startedAt;
+
+  // Only plain data goes back to the parent
+  return JSON.parse(JSON.stringify(result));
+}
+
+process.once('message', ({ code, o9Params, timeout }) => {
+  let result;
+  try {
+    result = runModule(code, o9Params, timeout);
+  } catch (error) {
+    result = { success: false, error: { message: `Dry run failed: ${error.message}`, line: null, column: null } };
+  }
+  process.send(result, () => process.exit(0));
+});
@@ -0,0 +1,232 @@
+const { documents, DEFAULT_WORKSPACE } = require('../storage');
+const { readItemText } = require('./textExtraction');
+
+// In-process BM25 full-text index over the knowledge base.
+//
+// Each item is indexed by file name, description and its text content (the
+// file itself, or the text extracted from a PDF or image). The index is
+// built lazily from storage on first use and kept up to date as items are
+// uploaded or deleted through the API.
+
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_LENGTH = 240;
+
+// Lowercased word tokens; camelCase identifiers also yield their parts
+function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text || '').match(/[A-Za-z0-9_]+/g) || []) {
+    tokens.push(word.toLowerCase());
+    const parts = word.split(/_|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    if (parts.length > 1) {
+      parts.forEach(part => tokens.push(part.toLowerCase()));
+    }
+  }
+  return tokens;
+}
+
+class Bm25Index {
+  constructor() {
+    this.docs = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(id, text, metadata = {}) {
+    this.remove(id);
+
+    const tokens = tokenize(text);
+    const termFrequency = new Map();
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+    for (const term of termFrequency.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.docs.set(id, { id, text, metadata, termFrequency, length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.termFrequency.keys()) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        this.documentFrequency.set(term, count);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  clear() {
+    this.docs.clear();
+    this.documentFrequency.clear();
+    this.totalLength = 0;
+  }
+
+  // Returns [{ id, score, metadata, snippet, highlights }] best first
+  search(query, { filter = () => true, limit = 20 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.docs.size === 0) return [];
+
+    const averageLength = this.totalLength / this.docs.size || 1;
+    const results = [];
+
+    for (const doc of this.docs.values()) {
+      if (!filter(doc.metadata)) continue;
+
+      let score = 0;
+      for (const term of terms) {
+        const frequency = doc.termFrequency.get(term);
+        if (!frequency) continue;
+
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+      }
+
+      if (score > 0) {
+        results.push({ id: doc.id, score: Number(score.toFixed(4)), metadata: doc.metadata, ...buildSnippet(doc.text, terms) });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+// Pick the window with the most query-term hits and report hit offsets in it
+function buildSnippet(text, terms) {
+  const termSet = new Set(terms);
+  const hits = [];
+  const wordPattern = /[A-Za-z0-9_]+/g;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    if (tokenize(match[0]).some(token => termSet.has(token))) {
+      hits.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  if (hits.length === 0) {
+    return { snippet: text.slice(0, SNIPPET_LENGTH), highlights: [] };
+  }
+
+  let bestStart = hits[0].start;
+  let bestCount = 0;
+  for (const hit of hits) {
+    const count = hits.filter(other => other.start >= hit.start && other.end <= hit.start + SNIPPET_LENGTH).length;
+    if (count > bestCount) {
+      bestCount = count;
+      bestStart = hit.start;
+    }
+  }
+
+  // Start a little before the first hit, on a word boundary
+  let start = Math.max(0, bestStart - 40);
+  const boundary = text.slice(start, bestStart).search(/\s/);
+  if (start > 0 && boundary !== -1) start += boundary + 1;
+
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    highlights: hits
+      .filter(hit => hit.start >= start && hit.end <= end)
+      .map(hit => ({ start: hit.start - start + prefix.length, end: hit.end - start + prefix.length }))
+  };
+}
+
+function metadataFor(item) {
+  return {
+    id: item.id,
+    workspaceId: item.workspaceId || DEFAULT_WORKSPACE,
+    actionButtonType: item.actionButtonType,
+    fileType: item.fileType,
+    fileName: item.fileName
+  };
+}
+
+// Knowledge base index shared by search and the code generation fallback.
+// One index holds every workspace's items; searches are limited to one.
+const knowledgeIndex = {
+  index: new Bm25Index(),
+  building: null,
+
+  // Text stored in the index for an item
+  async documentText(item, buffer) {
+    const content = await readItemText(item, buffer);
+    return [item.fileName, item.description, content].filter(Boolean).join('\n');
+  },
+
+  async indexItem(item, buffer) {
+    await this.ensureBuilt();
+    try {
+      this.index.add(item.id, await this.documentText(item, buffer), metadataFor(item));
+    } catch (error) {
+      console.warn(`⚠️ Could not index ${item.fileName}:`, error.message);
+    }
+  },
+
+  removeItem(id) {
+    this.index.remove(id);
+  },
+
+  async rebuild() {
+    const items = await documents.knowledgeBase.find({ filter: { type: 'knowledge' } });
+    const index = new Bm25Index();
+
+    for (const item of items) {
+      try {
+        index.add(item.id, await this.documentText(item), metadataFor(item));
+      } catch (error) {
+        console.warn(`⚠️ Could not index ${item.fileName}:`, error.message);
+      }
+    }
+
+    this.index = index;
+    console.log(`🔎 Knowledge search index built with ${index.size} items`);
+    return index.size;
+  },
+
+  async ensureBuilt() {
+    if (!this.building) {
+      this.building = this.rebuild().catch(error => {
+        this.building = null;
+        throw error;
+      });
+    }
+    await this.building;
+  },
+
+  // workspaceId is required; ids restricts the search to a set of item ids
+  async search(query, { workspaceId, actionButtonType, ids, limit } = {}) {
+    if (!workspaceId) {
+      throw new Error('Knowledge search needs a workspaceId');
+    }
+    await this.ensureBuilt();
+    const allowed = ids ? new Set(ids) : null;
+    return this.index.search(query, {
+      limit,
+      filter: metadata => metadata.workspaceId === workspaceId &&
+        (!actionButtonType || metadata.actionButtonType === actionButtonType) &&
+        (!allowed || allowed.has(metadata.id))
+    });
+  }
+};
+
+module.exports = {
+  tokenize,
+  Bm25Index,
+  knowledgeIndex
+};
@@ -0,0 +1,318 @@
+const { expectedModuleName } = require('./codeValidator');
+const { dateFormatRegex } = require('./fieldSchema');
+
+// Deterministic template generator, the no-AI alternative to the model.
+//
+// Renders a complete module for each of the four action button types from
+// the field binding alone: logging for every field, required-field
+// validation, a scope built from the dimensions and assignments to the
+// measures. The same binding always renders the same module, which makes
+// template output reproducible and a baseline to compare AI output against.
+//
+// Mass types issue one cartesian scope over the multiselect dimensions;
+// checkbox types issue one scope per selected member of the first array
+// dimension. Delete types set the measures to null and, when the binding has
+// a boolean Confirm... parameter, refuse to run until it is true. Attribute
+// paths, measure names and defaults come from the fields' o9 model metadata
+// when the binding has it, and values outside a field's allowedValues or
+// dateFormat are rejected like missing required fields.
+
+const TEMPLATE_TYPES = ['Mass Edit/Add', 'Mass Delete', 'Checkbox Edit/Add', 'Checkbox Delete'];
+
+function templateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Quote a value for a single-quoted JavaScript string literal
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function param(field) {
+  return `parsedParams[${quote(field.name)}]`;
+}
+
+// Bracketed IBPL names cannot contain ]
+function member(name) {
+  return String(name).replace(/\]/g, '');
+}
+
+// Dimension attribute a field filters on: its attributePath from the o9
+// model metadata, otherwise guessed as [Name].[Name]
+function attributePath(field) {
+  if (field.attributePath) return field.attributePath;
+  const name = member(field.name);
+  return `[${name}].[${name}]`;
+}
+
+// Measure a field writes to: its measure from the o9 model metadata,
+// otherwise the field name
+function measurePath(field) {
+  return `Measure.[${member(field.measure || field.name)}]`;
+}
+
+// Scope clause for one dimension, as a JavaScript expression
+function scopeClause(field) {
+  return `${quote(`${attributePath(field)}.filter(#.Name in {"`)} + ConcatenateMultiselect(${param(field)}) + '"})'`;
+}
+
+// Range over [Time].[Day] for a start/end pair of date dimensions
+function dateRangeClause(start, end) {
+  return `'[Time].[Day].filter(#.Key >= "' + QuoteSafe(${param(start)}) + '" && #.Key <= "' + QuoteSafe(${param(end)}) + '")'`;
+}
+
+function measureValue(field) {
+  if (field.dataType === 'number') return `String(Number(${param(field)}))`;
+  if (field.dataType === 'boolean') return `String(${param(field)} === true || ${param(field)} === 'true')`;
+  return `JSON.stringify(String(${param(field)}))`;
+}
+
+// Lines pushing each present value onto a list; required values are always
+// present (validation has already returned otherwise)
+function pushLines(list, entries, indent) {
+  const lines = [];
+  for (const { field, expression } of entries) {
+    if (field.required) {
+      lines.push(`${indent}${list}.push(${expression});`);
+    } else {
+      lines.push(`${indent}if (!IsMissing(${param(field)})) {`);
+      lines.push(`${indent}    ${list}.push(${expression});`);
+      lines.push(`${indent}}`);
+    }
+  }
+  return lines;
+}
+
+function splitFields(fields) {
+  const dimensions = fields.filter(field => field.classification === 'dimension');
+  const measures = fields.filter(field => field.classification === 'measure');
+  const parameters = fields.filter(field => field.classification === 'parameter');
+
+  // A start/end pair of date dimensions becomes one time range
+  const dates = dimensions.filter(field => field.dataType === 'date');
+  const start = dates.find(field => /start|from/i.test(field.name));
+  const end = dates.find(field => field !== start && /end|to/i.test(field.name));
+  const range = start && end ? { start, end } : null;
+
+  return {
+    dimensions: range ? dimensions.filter(field => field !== start && field !== end) : dimensions,
+    measures,
+    parameters,
+    range
+  };
+}
+
+// Render the module for a binding; throws a 400 error when the type or
+// binding cannot be rendered
+function renderTemplateModule({ projectName, actionButtonType, fieldBinding }) {
+  if (!TEMPLATE_TYPES.includes(actionButtonType)) {
+    throw templateError(`Template generation supports ${TEMPLATE_TYPES.join(', ')}; got '${actionButtonType}'`);
+  }
+
+  const fields = (fieldBinding.fields || []).filter(field => field && field.name);
+  const { dimensions, measures, parameters, range } = splitFields(fields);
+
+  if (dimensions.length === 0 && !range) {
+    throw templateError('Template generation needs at least one dimension field to build the scope');
+  }
+  if (measures.length === 0) {
+    throw templateError('Template generation needs at least one measure field to update');
+  }
+
+  const deleting = actionButtonType.endsWith('Delete');
+  const checkbox = actionButtonType.startsWith('Checkbox');
+  const confirm = deleting && parameters.find(field => field.dataType === 'boolean' && /confirm/i.test(field.name));
+  const selection = checkbox && (dimensions.find(field => field.dataType === 'array') || dimensions[0]);
+
+  const body = [];
+
+  body.push('        // Log every field binding');
+  for (const field of fields) {
+    body.push(`        console.log(${quote(`${field.name}: `)} + JSON.stringify(${param(field)}));`);
+  }
+  body.push('');
+
+  const defaults = fields.filter(field => field.defaultValue !== undefined && field.defaultValue !== null);
+  if (defaults.length > 0) {
+    body.push('        // Defaults for empty fields');
+    for (const field of defaults) {
+      body.push(`        if (IsMissing(${param(field)})) {`);
+      body.push(`            ${param(field)} = ${JSON.stringify(field.defaultValue)};`);
+      body.push('        }');
+    }
+    body.push('');
+  }
+
+  // Defaults are applied first, so a required field with a default is never
+  // missing
+  const required = fields.filter(field => field.required && (field.defaultValue === undefined || field.defaultValue === null));
+  if (required.length > 0) {
+    body.push('        // Required fields');
+    for (const field of required) {
+      body.push(`        if (IsMissing(${param(field)})) {`);
+      body.push(`            RuleOutputToUI = { Status: 'Error', Message: ${quote(`${field.name} is required`)} };`);
+      body.push('            return RuleOutputToUI;');
+      body.push('        }');
+    }
+    body.push('');
+  }
+
+  const restricted = fields.filter(field => Array.isArray(field.allowedValues) && field.allowedValues.length > 0);
+  if (restricted.length > 0) {
+    body.push('        // Allowed values');
+    for (const field of restricted) {
+      const allowed = field.allowedValues.map(String);
+      body.push(`        if (!IsMissing(${param(field)}) && !IsAllowed(${param(field)}, ${JSON.stringify(allowed)})) {`);
+      body.push(`            RuleOutputToUI = { Status: 'Error', Message: ${quote(`${field.name} must be one of ${allowed.join(', ')}`)} };`);
+      body.push('            return RuleOutputToUI;');
+      body.push('        }');
+    }
+    body.push('');
+  }
+
+  const formatted = fields.filter(field => field.dataType === 'date' && dateFormatRegex(field.dateFormat));
+  if (formatted.length > 0) {
+    body.push('        // Date formats');
+    for (const field of formatted) {
+      body.push(`        if (!IsMissing(${param(field)}) && !/${dateFormatRegex(field.dateFormat).source}/.test(String(${param(field)}))) {`);
+      body.push(`            RuleOutputToUI = { Status: 'Error', Message: ${quote(`${field.name} must be a date in ${field.dateFormat} format`)} };`);
+      body.push('            return RuleOutputToUI;');
+      body.push('        }');
+    }
+    body.push('');
+  }
+
+  if (confirm) {
+    body.push('        // Deletion must be confirmed');
+    body.push(`        if (${param(confirm)} !== true && ${param(confirm)} !== 'true') {`);
+    body.push("            RuleOutputToUI = { Status: 'Error', Message: 'Deletion was not confirmed' };");
+    body.push('            return RuleOutputToUI;');
+    body.push('        }');
+    body.push('');
+  }
+
+  body.push(deleting ? '        // Measures to clear' : '        // Measures to update');
+  body.push('        var Assignments = [];');
+  if (deleting) {
+    for (const field of measures) {
+      body.push(`        Assignments.push(${quote(`${measurePath(field)} = null;`)});`);
+    }
+  } else {
+    body.push(...pushLines('Assignments', measures.map(field => ({
+      field,
+      expression: `${quote(`${measurePath(field)} = `)} + ${measureValue(field)} + ';'`
+    })), '        '));
+    body.push('        if (Assignments.length === 0) {');
+    body.push("            RuleOutputToUI = { Status: 'Error', Message: 'No measure values were provided' };");
+    body.push('            return RuleOutputToUI;');
+    body.push('        }');
+  }
+  body.push('');
+
+  body.push('        // Scope built from the dimensions');
+  body.push('        var Scope = [];');
+  body.push(...pushLines('Scope', dimensions.filter(field => field !== selection).map(field => ({
+    field,
+    expression: scopeClause(field)
+  })), '        '));
+  if (range) {
+    if (range.start.required && range.end.required) {
+      body.push(`        Scope.push(${dateRangeClause(range.start, range.end)});`);
+    } else {
+      body.push(`        if (!IsMissing(${param(range.start)}) && !IsMissing(${param(range.end)})) {`);
+      body.push(`            Scope.push(${dateRangeClause(range.start, range.end)});`);
+      body.push('        }');
+    }
+  }
+  body.push('');
+
+  body.push("        var Query = require('o9/data/query');");
+
+  if (selection) {
+    body.push('');
+    body.push('        // One update per selected member');
+    body.push(`        var Selected = ${param(selection)};`);
+    body.push('        if (IsMissing(Selected)) {');
+    body.push("            RuleOutputToUI = { Status: 'Error', Message: 'Select at least one row' };");
+    body.push('            return RuleOutputToUI;');
+    body.push('        }');
+    body.push('        if (!Array.isArray(Selected)) {');
+    body.push('            Selected = [Selected];');
+    body.push('        }');
+    body.push('        for (var i = 0; i < Selected.length; i++) {');
+    body.push(`            var RowScope = Scope.concat([${quote(`${attributePath(selection)}.[`)} + BracketSafe(Selected[i]) + ']']);`);
+    body.push("            Query.exec('scope: (' + RowScope.join(' * ') + '); ' + Assignments.join(' ') + ' end scope;');");
+    body.push('        }');
+    body.push('');
+    body.push(`        RuleOutputToUI.Message = ${quote(deleting ? 'Deleted data for ' : 'Updated ')} + Selected.length + ' selected rows';`);
+  } else {
+    body.push("        var UpdateQuery = 'cartesian scope: (' + Scope.join(' * ') + '); ' + Assignments.join(' ') + ' end scope;';");
+    body.push('        Query.exec(UpdateQuery);');
+    body.push('');
+    body.push(`        RuleOutputToUI.Message = ${quote(deleting ? 'Delete completed' : 'Update completed')};`);
+  }
+  body.push('        return RuleOutputToUI;');
+
+  // Only modules with allowed value checks carry the IsAllowed helper, and
+  // only checkbox modules the BracketSafe one
+  let helpers = restricted.length > 0 ? `
+
+    var IsAllowed = function(value, allowed){
+        var values = Array.isArray(value) ? value : [value];
+        for (var i = 0; i < values.length; i++) {
+            if (allowed.indexOf(String(values[i])) === -1) {
+                return false;
+            }
+        }
+        return true;
+    };` : '';
+  if (selection) {
+    helpers += `
+
+    // Member names go inside [...], which a ] would close early
+    var BracketSafe = function(value){
+        return String(value).replace(/\\]/g, '');
+    };`;
+  }
+
+  return `define('${expectedModuleName(projectName)}',['o9/data/query', 'o9/data/cellset'],function(){
+    var ActionButtonCall = function(o9Params) {
+        var parsedParams = JSON.parse(o9Params);
+        var RuleOutputToUI = { Status: 'Success', Message: '' };
+
+${body.join('\n')}
+    };
+
+    var IsMissing = function(value){
+        return value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+    };${helpers}
+
+    // Values go inside "...", which a quote (or a backslash before the
+    // closing quote) would end early
+    var QuoteSafe = function(value){
+        return String(value).replace(/["\\\\]/g, '');
+    };
+
+    var ConcatenateMultiselect = function(value){
+        var values = Array.isArray(value) ? value : [value];
+        var names = [];
+        for (var i = 0; i < values.length; i++) {
+            names.push(QuoteSafe(values[i]));
+        }
+        return names.join('","');
+    };
+
+    return {
+        ActionButtonCall:ActionButtonCall
+    };
+});
+`;
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  renderTemplateModule
+};
@@ -0,0 +1,253 @@
+const { llmClient } = require('../llm');
+const { extractCode } = require('./codeValidator');
+const { buildSampleParams } = require('./samplePayloads');
+
+// Companion test suites for generated o9 Action Button modules.
+//
+// The test file is standalone: it loads the module from the .js file next to
+// it with a small AMD loader and mocked o9/data/query and o9/data/cellset,
+// then runs each case with node's built-in test runner (node --test).
+
+// Helper function to derive the module name and file names from the project
+function moduleFiles(projectName) {
+  const baseName = projectName.replace(/[^a-zA-Z0-9]/g, '');
+  return {
+    moduleName: `o9.${baseName}`,
+    moduleFileName: `${baseName}.js`,
+    testFileName: `${baseName}.test.js`
+  };
+}
+
+function hasDefault(field) {
+  return field.defaultValue !== undefined && field.defaultValue !== null;
+}
+
+// A value of the field's type outside its allowedValues; null when every
+// value of the type is allowed (a boolean listing true and false)
+function disallowedValue(field) {
+  const allowed = field.allowedValues;
+  if (field.dataType === 'boolean') {
+    return allowed.includes(true) && allowed.includes(false) ? null : !allowed[0];
+  }
+  if (field.dataType === 'number') {
+    return Math.max(...allowed.filter(value => typeof value === 'number')) + 1;
+  }
+  const value = `${field.name} (not allowed)`;
+  return field.dataType === 'array' ? [value] : value;
+}
+
+// Cases every module must pass: the happy path and required-field validation.
+// A missing or empty field with a defaultValue takes the default instead of
+// being rejected, so for those the module is expected to run its update.
+function buildBaselineCases(fields = []) {
+  const baseline = buildSampleParams(fields);
+  const cases = [
+    {
+      name: 'issues update queries for a complete payload',
+      o9Params: baseline,
+      expectQueries: true
+    }
+  ];
+
+  for (const field of fields.filter(f => f && f.required)) {
+    const missing = { ...baseline };
+    delete missing[field.name];
+    cases.push(hasDefault(field)
+      ? { name: `uses the default ${field.name} when it is missing`, o9Params: missing, expectQueries: true }
+      : { name: `rejects a payload without ${field.name}`, o9Params: missing, expectQueries: false });
+
+    if (field.dataType === 'array') {
+      const empty = { ...baseline, [field.name]: [] };
+      cases.push(hasDefault(field)
+        ? { name: `uses the default ${field.name} for an empty selection`, o9Params: empty, expectQueries: true }
+        : { name: `rejects an empty ${field.name} selection`, o9Params: empty, expectQueries: false });
+    }
+  }
+
+  // Values breaking the fields' o9 model metadata rules
+  for (const field of fields.filter(f => f && f.name)) {
+    if (Array.isArray(field.allowedValues) && field.allowedValues.length > 0) {
+      const value = disallowedValue(field);
+      if (value !== null) {
+        cases.push({
+          name: `rejects ${field.name} values outside its allowed values`,
+          o9Params: { ...baseline, [field.name]: value },
+          expectQueries: false
+        });
+      }
+    }
+
+    if (field.dataType === 'date' && field.dateFormat) {
+      cases.push({
+        name: `rejects ${field.name} dates not in ${field.dateFormat} format`,
+        o9Params: { ...baseline, [field.name]: 'not a date' },
+        expectQueries: false
+      });
+    }
+  }
+
+  return cases;
+}
+
+function isValidCase(testCase) {
+  return testCase && typeof testCase.name === 'string' && testCase.name.trim() &&
+    testCase.o9Params && typeof testCase.o9Params === 'object' && !Array.isArray(testCase.o9Params) &&
+    typeof testCase.expectQueries === 'boolean' &&
+    (testCase.outputIncludes === undefined || typeof testCase.outputIncludes === 'string');
+}
+
+// Ask the model for cases covering validation branches in the business logic
+async function generateBusinessLogicCases({ businessLogic, fields, generatedCode }) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You write test cases for o9 Action Button JavaScript modules. You answer with a JSON array only.'
+    },
+    {
+      role: 'user',
+      content: `Write test cases for the validation branches described in this business logic.
+
+BUSINESS LOGIC: ${businessLogic}
+
+FIELD BINDINGS:
+${JSON.stringify(fields, null, 2)}
+
+SAMPLE o9Params:
+${JSON.stringify(buildSampleParams(fields), null, 2)}
+
+MODULE:
+${generatedCode}
+
+Return a JSON array. Each element must be:
+{ "name": string, "o9Params": object, "expectQueries": boolean, "outputIncludes": string (optional, text expected in RuleOutputToUI) }
+Set expectQueries to false when the payload should be rejected before any update query runs.`
+    }
+  ];
+
+  try {
+    const response = await llmClient.generateCompletion(messages, 2000, 0);
+    const content = extractCode(response.choices?.[0]?.message?.content || '');
+    const start = content.indexOf('[');
+    const end = content.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+
+    const cases = JSON.parse(content.slice(start, end + 1));
+    return Array.isArray(cases) ? cases.filter(isValidCase) : [];
+  } catch (error) {
+    console.warn('⚠️ Could not generate business logic test cases:', error.message);
+    return [];
+  }
+}
+
+function renderTestFile({ moduleName, moduleFileName, cases }) {
+  return `// Tests for ${moduleName}, generated by the O9 Action Button Generator.
+// Place next to ${moduleFileName} and run with: node --test ${moduleFileName.replace(/\.js$/, '.test.js')}
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULE_FILE = path.join(__dirname, '${moduleFileName}');
+const MODULE_NAME = '${moduleName}';
+
+// Load the module with mocked o9 APIs, recording every query it issues
+function loadModule() {
+  const queries = [];
+  const createCellSet = function () {
+    return { rows: [], columns: [], rowCount: 0, columnCount: 0, getRows: function () { return []; }, getCell: function () { return null; } };
+  };
+  const record = function (queryString) {
+    queries.push(String(queryString));
+    return createCellSet();
+  };
+  const query = function (queryString) { return record(queryString); };
+  ['exec', 'execute', 'run', 'runQuery', 'executeQuery', 'query'].forEach(function (method) {
+    query[method] = record;
+  });
+
+  const modules = {
+    'o9/data/query': query,
+    'o9/data/cellset': { create: createCellSet, fromQuery: createCellSet }
+  };
+  const resolve = function (name) {
+    if (!(name in modules)) throw new Error('Unknown module ' + name);
+    return modules[name];
+  };
+  const define = function () {
+    const args = Array.prototype.slice.call(arguments);
+    const factory = args.pop();
+    const deps = Array.isArray(args[args.length - 1]) ? args.pop() : [];
+    const name = typeof args[0] === 'string' ? args[0] : null;
+    const exported = typeof factory === 'function' ? factory.apply(null, deps.map(resolve)) : factory;
+    if (name) modules[name] = exported;
+  };
+  const amdRequire = function (deps, callback) {
+    if (typeof deps === 'string') return resolve(deps);
+    if (typeof callback === 'function') callback.apply(null, deps.map(resolve));
+  };
+  const silent = function () {};
+
+  const context = vm.createContext({
+    define: define,
+    require: amdRequire,
+    console: { log: silent, info: silent, warn: silent, error: silent, debug: silent }
+  });
+  vm.runInContext(fs.readFileSync(MODULE_FILE, 'utf-8'), context, { filename: MODULE_FILE });
+
+  return { module: modules[MODULE_NAME], queries: queries };
+}
+
+const cases = ${JSON.stringify(cases, null, 2)};
+
+test('exports ActionButtonCall', function () {
+  const loaded = loadModule();
+  assert.ok(loaded.module, MODULE_NAME + ' was not defined');
+  assert.strictEqual(typeof loaded.module.ActionButtonCall, 'function');
+});
+
+cases.forEach(function (testCase) {
+  test(testCase.name, function () {
+    const loaded = loadModule();
+    const output = loaded.module.ActionButtonCall(JSON.stringify(testCase.o9Params));
+
+    if (testCase.expectQueries) {
+      assert.ok(loaded.queries.length > 0, 'expected at least one query to be issued');
+    } else {
+      assert.strictEqual(loaded.queries.length, 0, 'expected no queries, got: ' + loaded.queries.join(' | '));
+    }
+
+    if (testCase.outputIncludes) {
+      const rendered = typeof output === 'string' ? output : JSON.stringify(output);
+      assert.ok(String(rendered).includes(testCase.outputIncludes), 'RuleOutputToUI should include "' + testCase.outputIncludes + '"');
+    }
+  });
+});
+`;
+}
+
+// Build the companion test file for a generated module
+async function generateTestSuite({ projectName, businessLogic, fields = [], generatedCode }) {
+  const { moduleName, moduleFileName, testFileName } = moduleFiles(projectName);
+  const cases = buildBaselineCases(fields);
+
+  const extraCases = await generateBusinessLogicCases({ businessLogic, fields, generatedCode });
+  const names = new Set(cases.map(c => c.name));
+  for (const testCase of extraCases) {
+    if (!names.has(testCase.name)) {
+      names.add(testCase.name);
+      cases.push(testCase);
+    }
+  }
+
+  return {
+    testFileName,
+    testCode: renderTestFile({ moduleName, moduleFileName, cases }),
+    testCases: cases.length
+  };
+}
+
+module.exports = {
+  moduleFiles,
+  generateTestSuite
+};
@@ -0,0 +1,146 @@
+// pdf-parse's index.js runs a debug harness when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { blobs } = require('../storage');
+const { llmClient } = require('../llm');
+const { isTextItem } = require('./embeddings');
+
+// Text extraction for binary knowledge uploads.
+//
+// PDFs are text-extracted and images are described by the model (plus any
+// alt text given by the uploader). The text is stored as a blob next to the
+// original file and recorded on the item as extractedText, so search,
+// embeddings and prompt context can treat the item like a text file.
+
+const MAX_EXTRACTED_CHARS = parseInt(process.env.EXTRACTED_TEXT_MAX_CHARS || '200000');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+function isPdfItem(item) {
+  return item.fileType === 'application/pdf' || (item.fileName || '').toLowerCase().endsWith('.pdf');
+}
+
+function isImageItem(item) {
+  return IMAGE_TYPES.includes(item.fileType) || /\.(png|jpe?g)$/i.test(item.fileName || '');
+}
+
+// Items whose text can be read directly or from an extraction
+function hasText(item) {
+  return isTextItem(item) || Boolean(item.extractedText?.path);
+}
+
+// Collapse the whitespace runs PDF extraction leaves behind
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_EXTRACTED_CHARS);
+}
+
+async function extractPdfText(buffer) {
+  // The bundled pdf.js misreads Buffer slices, so hand it a plain Uint8Array
+  const data = await pdfParse(new Uint8Array(buffer));
+  return { text: normalizeText(data.text), method: 'pdf-text', pages: data.numpages };
+}
+
+// Ask the model to transcribe and describe a configuration screenshot
+async function describeImage(buffer, mimeType) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You transcribe screenshots of o9 widget and action button configuration for a knowledge base. You answer with plain text only.'
+    },
+    {
+      role: 'user',
+      content: [
+        {
+          type: 'text',
+          text: 'Transcribe every visible label, field name and value in this screenshot, then describe in a few sentences what is being configured.'
+        },
+        {
+          type: 'image_url',
+          image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` }
+        }
+      ]
+    }
+  ];
+
+  const response = await llmClient.generateCompletion(messages, 1500, 0);
+  return (response.choices?.[0]?.message?.content || '').trim();
+}
+
+async function extractImageText(item, buffer, altText) {
+  const parts = [];
+  let method = 'alt-text';
+
+  if (altText) {
+    parts.push(`Alt text: ${altText}`);
+  }
+
+  try {
+    const description = await describeImage(buffer, item.fileType);
+    if (description) {
+      parts.push(description);
+      method = 'image-description';
+    }
+  } catch (error) {
+    // Alt text alone is still worth keeping
+    if (!altText) throw error;
+    console.warn(`⚠️ Could not describe ${item.fileName}, keeping alt text:`, error.message);
+  }
+
+  return { text: normalizeText(parts.join('\n\n')), method };
+}
+
+// Extract and store text for a PDF or image item; failures are recorded, not thrown
+async function extractKnowledgeText(item, buffer, { altText } = {}) {
+  if (!isPdfItem(item) && !isImageItem(item)) return item;
+
+  try {
+    const source = buffer || await blobs.download(item.filePath);
+    const result = isPdfItem(item)
+      ? await extractPdfText(source)
+      : await extractImageText(item, source, altText || item.altText);
+
+    if (!result.text) {
+      throw new Error('No text could be extracted');
+    }
+
+    const textPath = `${item.filePath}.extracted.txt`;
+    await blobs.upload(textPath, Buffer.from(result.text, 'utf-8'), { contentType: 'text/plain; charset=utf-8' });
+
+    item.extractedText = {
+      path: textPath,
+      method: result.method,
+      pages: result.pages,
+      characters: result.text.length,
+      extractedAt: new Date().toISOString()
+    };
+    delete item.extractionError;
+    console.log(`✅ Extracted ${result.text.length} characters from ${item.fileName} (${result.method})`);
+  } catch (error) {
+    console.warn(`⚠️ Could not extract text from ${item.fileName}:`, error.message);
+    item.extractionError = error.message;
+  }
+  return item;
+}
+
+// Text content of an item: the file itself for text files, else its extraction
+async function readItemText(item, buffer) {
+  if (isTextItem(item)) {
+    return (buffer || await blobs.download(item.filePath)).toString('utf-8');
+  }
+  if (item.extractedText?.path) {
+    return (await blobs.download(item.extractedText.path)).toString('utf-8');
+  }
+  return '';
+}
+
+module.exports = {
+  isPdfItem,
+  isImageItem,
+  hasText,
+  extractKnowledgeText,
+  readItemText
+};
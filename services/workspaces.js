@@ -0,0 +1,103 @@
+const { documents, openWorkspace, DEFAULT_WORKSPACE, WORKSPACE_ID_PATTERN } = require('../storage');
+
+// Workspaces keep each client's knowledge base, field bindings, generated
+// code, jobs, prompt templates and audit log apart (see storage/workspaces.js).
+//
+// The 'default' workspace always exists and holds everything created before
+// workspaces were introduced. Other workspaces are stored in the workspaces
+// container. Workspaces are not deleted: their records stay reachable for
+// the audit trail.
+
+const DEFAULT_RECORD = {
+  id: DEFAULT_WORKSPACE,
+  name: 'Default',
+  description: 'Shared workspace',
+  builtIn: true
+};
+
+function workspaceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// name and description are optional, but must be text when sent
+function checkText(values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw workspaceError(`${key} must be a string`);
+    }
+  }
+}
+
+// Whether a caller may use a workspace; user.workspaces null means all
+function canAccess(user, workspaceId) {
+  return Boolean(user) && (!user.workspaces || user.workspaces.includes(workspaceId));
+}
+
+async function getWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE) return DEFAULT_RECORD;
+  if (!WORKSPACE_ID_PATTERN.test(String(workspaceId))) return null;
+  return documents.workspaces.read(workspaceId, workspaceId);
+}
+
+// Workspaces the caller may use, default first then by name
+async function listWorkspaces(user) {
+  const stored = await documents.workspaces.find({ orderBy: 'name', order: 'ASC' });
+  return [DEFAULT_RECORD, ...stored].filter(workspace => canAccess(user, workspace.id));
+}
+
+async function createWorkspace({ id, name, description, createdBy = null } = {}) {
+  if (!id || !WORKSPACE_ID_PATTERN.test(id)) {
+    throw workspaceError('id must be 1-63 lowercase letters, digits or hyphens, starting with a letter or digit');
+  }
+  checkText({ name, description });
+  if (id === DEFAULT_WORKSPACE || await getWorkspace(id)) {
+    throw workspaceError(`Workspace '${id}' already exists`, 409);
+  }
+
+  const workspace = {
+    id,
+    name: (name || '').trim() || id,
+    description: description || '',
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    return await documents.workspaces.create(workspace);
+  } catch (error) {
+    if (error.code === 409) throw workspaceError(`Workspace '${id}' already exists`, 409);
+    throw error;
+  }
+}
+
+// Rename or describe a workspace; its id cannot change
+async function updateWorkspace(workspaceId, { name, description, updatedBy = null } = {}) {
+  if (workspaceId === DEFAULT_WORKSPACE) {
+    throw workspaceError('The default workspace cannot be changed');
+  }
+  checkText({ name, description });
+  const existing = await getWorkspace(workspaceId);
+  if (!existing) {
+    throw workspaceError(`Workspace '${workspaceId}' not found`, 404);
+  }
+
+  return documents.workspaces.replace(workspaceId, workspaceId, {
+    ...existing,
+    name: typeof name === 'string' ? name.trim() || existing.name : existing.name,
+    description: typeof description === 'string' ? description : existing.description,
+    updatedBy,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  canAccess,
+  getWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  openWorkspace
+};
@@ -0,0 +1,177 @@
+const azure = require('../config/azure');
+const containerDefinitions = require('./containers');
+
+// Build a Cosmos SQL query from the backend-neutral find() options
+function buildQuery({ filter = {}, range = {}, fields, orderBy, order = 'DESC', limit } = {}) {
+  const conditions = [];
+  const parameters = [];
+
+  const compare = (key, operator, value) => {
+    if (value === undefined) return;
+    const name = `@p${parameters.length}`;
+    conditions.push(`c.${key} ${operator} ${name}`);
+    parameters.push({ name, value });
+  };
+
+  Object.entries(filter).forEach(([key, value]) => compare(key, '=', value));
+  Object.entries(range).forEach(([key, { min, max }]) => {
+    compare(key, '>=', min);
+    compare(key, '<=', max);
+  });
+
+  let query = `SELECT ${fields && fields.length > 0 ? fields.map(f => `c.${f}`).join(', ') : '*'} FROM c`;
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  if (orderBy) {
+    query += ` ORDER BY c.${orderBy} ${order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC'}`;
+  }
+
+  if (limit) {
+    query += ' OFFSET 0 LIMIT @limit';
+    parameters.push({ name: '@limit', value: parseInt(limit) });
+  }
+
+  return { query, parameters };
+}
+
+// Document collection backed by a Cosmos DB container
+class CosmosCollection {
+  constructor(id, partitionKey) {
+    this.id = id;
+    this.partitionKey = partitionKey;
+  }
+
+  get container() {
+    return azure.containers[this.id];
+  }
+
+  async create(document) {
+    const { resource } = await this.container.items.create(document);
+    return resource;
+  }
+
+  async read(id, partitionKeyValue) {
+    // Without a partition key fall back to a cross-partition query
+    if (partitionKeyValue === undefined) {
+      const [resource] = await this.find({ filter: { id } });
+      return resource || null;
+    }
+
+    try {
+      const { resource } = await this.container.item(id, partitionKeyValue).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async replace(id, partitionKeyValue, document) {
+    const { resource } = await this.container.item(id, partitionKeyValue).replace(document);
+    return resource;
+  }
+
+  async upsert(document) {
+    const { resource } = await this.container.items.upsert(document);
+    return resource;
+  }
+
+  async delete(id, partitionKeyValue) {
+    await this.container.item(id, partitionKeyValue).delete();
+  }
+
+  async find(options = {}) {
+    const { resources } = await this.container.items.query(buildQuery(options)).fetchAll();
+    return resources;
+  }
+}
+
+// Blob store backed by an Azure Blob Storage container
+const blobs = {
+  getUrl(name) {
+    return azure.containerClient.getBlockBlobClient(name).url;
+  },
+
+  async upload(name, buffer, { contentType, contentDisposition, metadata } = {}) {
+    const blockBlobClient = azure.containerClient.getBlockBlobClient(name);
+    await blockBlobClient.uploadData(buffer, {
+      blobHTTPHeaders: {
+        blobContentType: contentType,
+        blobContentDisposition: contentDisposition
+      },
+      metadata
+    });
+    return { name, url: blockBlobClient.url };
+  },
+
+  async download(name) {
+    const downloadResponse = await azure.containerClient.getBlockBlobClient(name).download();
+
+    const chunks = [];
+    for await (const chunk of downloadResponse.readableStreamBody) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  async downloadStream(name) {
+    const downloadResponse = await azure.containerClient.getBlockBlobClient(name).download();
+    return downloadResponse.readableStreamBody;
+  },
+
+  async exists(name) {
+    return azure.containerClient.getBlockBlobClient(name).exists();
+  },
+
+  async getProperties(name) {
+    const properties = await azure.containerClient.getBlockBlobClient(name).getProperties();
+    return {
+      contentType: properties.contentType,
+      contentLength: properties.contentLength,
+      lastModified: properties.lastModified,
+      metadata: properties.metadata || {}
+    };
+  },
+
+  async delete(name) {
+    await azure.containerClient.getBlockBlobClient(name).delete();
+  },
+
+  async deleteIfExists(name) {
+    await azure.containerClient.getBlockBlobClient(name).deleteIfExists();
+  },
+
+  async *list({ prefix = '' } = {}) {
+    for await (const blob of azure.containerClient.listBlobsFlat({ prefix, includeMetadata: true })) {
+      yield {
+        name: blob.name,
+        contentType: blob.properties.contentType,
+        contentLength: blob.properties.contentLength,
+        lastModified: blob.properties.lastModified,
+        metadata: blob.metadata || {},
+        url: azure.containerClient.getBlobClient(blob.name).url
+      };
+    }
+  }
+};
+
+const documents = {};
+for (const config of containerDefinitions) {
+  documents[config.id] = new CosmosCollection(config.id, config.partitionKey);
+}
+
+module.exports = {
+  name: 'azure',
+  requiredEnvVars: [
+    'COSMOS_ENDPOINT',
+    'COSMOS_KEY',
+    'COSMOS_DATABASE_NAME',
+    'AZURE_STORAGE_CONNECTION_STRING'
+  ],
+  documents,
+  blobs,
+  initialize: azure.initializeAzureServices
+};
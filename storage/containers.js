@@ -0,0 +1,15 @@
+// Document containers used by the application and their partition keys.
+// Shared by the Azure initializer and the local storage backend so both
+// enforce the same partitioning rules.
+module.exports = [
+  { id: 'knowledgeBase', partitionKey: '/type' },
+  { id: 'knowledgeEmbeddings', partitionKey: '/knowledgeId' },
+  { id: 'fieldBindings', partitionKey: '/actionButtonType' },
+  { id: 'fieldBindingRevisions', partitionKey: '/fieldBindingId' },
+  { id: 'generatedCode', partitionKey: '/projectId' },
+  { id: 'codeRevisions', partitionKey: '/codeId' },
+  { id: 'generationJobs', partitionKey: '/type' },
+  { id: 'promptTemplates', partitionKey: '/actionButtonType' },
+  { id: 'auditLog', partitionKey: '/entityType' },
+  { id: 'workspaces', partitionKey: '/id' }
+];
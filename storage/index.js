@@ -0,0 +1,56 @@
+// Storage backend selection.
+//
+// STORAGE_BACKEND=azure (default) keeps documents in Cosmos DB and files in
+// Blob Storage. STORAGE_BACKEND=local keeps both under LOCAL_DATA_DIR so the
+// app can run without an Azure subscription.
+//
+// Every backend exposes the same surface:
+//   documents.<container>.create / read / replace / upsert / delete / find
+//     find({ filter, range, fields, orderBy, order, limit }): filter holds
+//     exact matches, range inclusive { min, max } bounds per field
+//   blobs.upload / download / downloadStream / exists / getProperties /
+//         delete / deleteIfExists / list / getUrl
+//
+// Routes and services reach client data through openWorkspace(id), which
+// returns the same surface limited to one workspace (see ./workspaces).
+const containerDefinitions = require('./containers');
+const { DEFAULT_WORKSPACE, WORKSPACE_ID_PATTERN, isValidBlobName, createWorkspaceStorage, assignDefaultWorkspace } = require('./workspaces');
+
+const backends = {
+  azure: () => require('./azure'),
+  local: () => require('./local')
+};
+
+const backendName = (process.env.STORAGE_BACKEND || 'azure').toLowerCase();
+
+if (!backends[backendName]) {
+  throw new Error(`Unknown STORAGE_BACKEND '${backendName}'. Expected one of: ${Object.keys(backends).join(', ')}`);
+}
+
+const backend = backends[backendName]();
+
+const openWorkspaces = new Map();
+
+// Storage limited to one workspace; handles are cached per id
+function openWorkspace(workspaceId = DEFAULT_WORKSPACE) {
+  if (!WORKSPACE_ID_PATTERN.test(workspaceId)) {
+    throw new Error(`Invalid workspace id '${workspaceId}'`);
+  }
+  if (!openWorkspaces.has(workspaceId)) {
+    openWorkspaces.set(workspaceId, createWorkspaceStorage(backend, workspaceId));
+  }
+  return openWorkspaces.get(workspaceId);
+}
+
+module.exports = {
+  backendName: backend.name,
+  requiredEnvVars: backend.requiredEnvVars,
+  documents: backend.documents,
+  blobs: backend.blobs,
+  initializeStorage: backend.initialize,
+  DEFAULT_WORKSPACE,
+  WORKSPACE_ID_PATTERN,
+  isValidBlobName,
+  openWorkspace,
+  assignDefaultWorkspace: () => assignDefaultWorkspace(backend, containerDefinitions)
+};
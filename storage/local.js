@@ -0,0 +1,261 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const containerDefinitions = require('./containers');
+
+const dataDir = path.resolve(process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', 'data'));
+const documentsDir = path.join(dataDir, 'documents');
+const blobsDir = path.join(dataDir, 'blobs');
+const blobPropertiesDir = path.join(dataDir, 'blob-properties');
+
+// Errors carry the same status codes the Cosmos SDK uses
+function storageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Resolve a path inside root, rejecting names that would escape it
+function resolveInside(root, name) {
+  const resolved = path.resolve(root, name);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw storageError(`Invalid storage path: ${name}`, 400);
+  }
+  return resolved;
+}
+
+async function writeFileAtomic(filePath, data) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fsp.writeFile(tempPath, data);
+  await fsp.rename(tempPath, filePath);
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Document collection stored as one JSON file per document
+class LocalCollection {
+  constructor(id, partitionKey) {
+    this.id = id;
+    this.partitionKeyField = partitionKey.replace(/^\//, '');
+    this.dir = path.join(documentsDir, id);
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  async create(document) {
+    if (await readJson(this.filePath(document.id))) {
+      throw storageError(`Document ${document.id} already exists in ${this.id}`, 409);
+    }
+    await writeFileAtomic(this.filePath(document.id), JSON.stringify(document, null, 2));
+    return document;
+  }
+
+  async read(id, partitionKeyValue) {
+    const document = await readJson(this.filePath(id));
+    if (!document) return null;
+
+    // Mirror Cosmos: a read with the wrong partition key finds nothing
+    if (partitionKeyValue !== undefined && document[this.partitionKeyField] !== partitionKeyValue) {
+      return null;
+    }
+    return document;
+  }
+
+  async replace(id, partitionKeyValue, document) {
+    if (!await this.read(id, partitionKeyValue)) {
+      throw storageError(`Document ${id} not found in ${this.id}`, 404);
+    }
+    const updated = { ...document, id };
+    await writeFileAtomic(this.filePath(id), JSON.stringify(updated, null, 2));
+    return updated;
+  }
+
+  async upsert(document) {
+    await writeFileAtomic(this.filePath(document.id), JSON.stringify(document, null, 2));
+    return document;
+  }
+
+  async delete(id, partitionKeyValue) {
+    if (!await this.read(id, partitionKeyValue)) {
+      throw storageError(`Document ${id} not found in ${this.id}`, 404);
+    }
+    await fsp.unlink(this.filePath(id));
+  }
+
+  async find({ filter = {}, range = {}, fields, orderBy, order = 'DESC', limit } = {}) {
+    let fileNames;
+    try {
+      fileNames = await fsp.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const conditions = Object.entries(filter).filter(([, value]) => value !== undefined);
+    const bounds = Object.entries(range);
+    let results = [];
+
+    for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+      const document = await readJson(path.join(this.dir, fileName));
+      if (document && conditions.every(([key, value]) => document[key] === value) &&
+          bounds.every(([key, { min, max }]) => (min === undefined || document[key] >= min) && (max === undefined || document[key] <= max))) {
+        results.push(document);
+      }
+    }
+
+    if (orderBy) {
+      const direction = order.toUpperCase() === 'ASC' ? 1 : -1;
+      results.sort((a, b) => {
+        if (a[orderBy] === b[orderBy]) return 0;
+        return a[orderBy] > b[orderBy] ? direction : -direction;
+      });
+    }
+
+    if (limit) {
+      results = results.slice(0, parseInt(limit));
+    }
+
+    if (fields && fields.length > 0) {
+      results = results.map(document => Object.fromEntries(fields.map(field => [field, document[field]])));
+    }
+
+    return results;
+  }
+}
+
+// Blob store kept under the data directory, with properties in sidecar files
+const blobs = {
+  // Blobs of a non-default workspace live under workspaces/<id>/ and are
+  // served by the files route of that workspace
+  getUrl(name) {
+    const [, workspaceId, relativeName] = name.match(/^workspaces\/([^/]+)\/(.+)$/) || [];
+    if (workspaceId) {
+      return `/api/files/${encodeURIComponent(relativeName)}/download?workspace=${workspaceId}`;
+    }
+    return `/api/files/${encodeURIComponent(name)}/download`;
+  },
+
+  async upload(name, buffer, { contentType, contentDisposition, metadata } = {}) {
+    await writeFileAtomic(resolveInside(blobsDir, name), buffer);
+    await writeFileAtomic(resolveInside(blobPropertiesDir, `${name}.json`), JSON.stringify({
+      contentType: contentType || 'application/octet-stream',
+      contentDisposition,
+      metadata: metadata || {},
+      lastModified: new Date().toISOString()
+    }, null, 2));
+    return { name, url: this.getUrl(name) };
+  },
+
+  async download(name) {
+    try {
+      return await fsp.readFile(resolveInside(blobsDir, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw storageError(`Blob ${name} not found`, 404);
+      throw error;
+    }
+  },
+
+  async downloadStream(name) {
+    if (!await this.exists(name)) {
+      throw storageError(`Blob ${name} not found`, 404);
+    }
+    return fs.createReadStream(resolveInside(blobsDir, name));
+  },
+
+  async exists(name) {
+    try {
+      const stats = await fsp.stat(resolveInside(blobsDir, name));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  },
+
+  async getProperties(name) {
+    const stats = await fsp.stat(resolveInside(blobsDir, name));
+    const properties = await readJson(resolveInside(blobPropertiesDir, `${name}.json`)) || {};
+    return {
+      contentType: properties.contentType || 'application/octet-stream',
+      contentLength: stats.size,
+      lastModified: properties.lastModified ? new Date(properties.lastModified) : stats.mtime,
+      metadata: properties.metadata || {}
+    };
+  },
+
+  async delete(name) {
+    if (!await this.exists(name)) {
+      throw storageError(`Blob ${name} not found`, 404);
+    }
+    await this.deleteIfExists(name);
+  },
+
+  async deleteIfExists(name) {
+    await fsp.rm(resolveInside(blobsDir, name), { force: true });
+    await fsp.rm(resolveInside(blobPropertiesDir, `${name}.json`), { force: true });
+  },
+
+  async *list({ prefix = '' } = {}) {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(entryPath);
+        } else if (!entry.name.endsWith('.tmp')) {
+          yield path.relative(blobsDir, entryPath).split(path.sep).join('/');
+        }
+      }
+    };
+
+    for await (const name of walk(blobsDir)) {
+      if (!name.startsWith(prefix)) continue;
+      const properties = await this.getProperties(name);
+      yield { name, ...properties, url: this.getUrl(name) };
+    }
+  }
+};
+
+const documents = {};
+for (const config of containerDefinitions) {
+  documents[config.id] = new LocalCollection(config.id, config.partitionKey);
+}
+
+async function initialize() {
+  try {
+    await fsp.mkdir(blobsDir, { recursive: true });
+    await fsp.mkdir(blobPropertiesDir, { recursive: true });
+    for (const config of containerDefinitions) {
+      await fsp.mkdir(path.join(documentsDir, config.id), { recursive: true });
+    }
+    console.log(`✅ Local storage initialized at ${dataDir}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize local storage:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  name: 'local',
+  requiredEnvVars: [],
+  documents,
+  blobs,
+  initialize
+};
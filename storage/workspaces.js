@@ -0,0 +1,188 @@
+// Workspace (tenant) scoping for documents and blobs.
+//
+// Every document in a scoped container carries a workspaceId. A workspace's
+// view of a container stamps that id on create and only finds, reads,
+// replaces or deletes documents that carry it, so code holding one
+// workspace's view cannot reach another client's knowledge, bindings or
+// generated code.
+//
+// Blobs of the default workspace keep their original names; other
+// workspaces keep theirs under workspaces/<id>/. A workspace's blob view
+// takes and returns names relative to its own prefix; names with '.' or '..'
+// segments, a leading '/' or backslashes are rejected so they cannot climb
+// out of it.
+
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const BLOB_ROOT = 'workspaces/';
+
+// Containers holding per-workspace data; workspaces itself is shared
+const SCOPED_CONTAINERS = [
+  'knowledgeBase',
+  'knowledgeEmbeddings',
+  'fieldBindings',
+  'fieldBindingRevisions',
+  'generatedCode',
+  'codeRevisions',
+  'generationJobs',
+  'promptTemplates',
+  'auditLog'
+];
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 404;
+  return error;
+}
+
+function scopeCollection(collection, workspaceId) {
+  const owned = document => Boolean(document) && document.workspaceId === workspaceId;
+
+  return {
+    async create(document) {
+      return collection.create({ ...document, workspaceId });
+    },
+
+    async read(id, partitionKeyValue) {
+      const document = await collection.read(id, partitionKeyValue);
+      return owned(document) ? document : null;
+    },
+
+    async replace(id, partitionKeyValue, document) {
+      if (!await this.read(id, partitionKeyValue)) {
+        throw notFound(`Document ${id} not found in ${collection.id}`);
+      }
+      return collection.replace(id, partitionKeyValue, { ...document, workspaceId });
+    },
+
+    async upsert(document) {
+      const existing = await collection.read(document.id);
+      if (existing && !owned(existing)) {
+        throw notFound(`Document ${document.id} not found in ${collection.id}`);
+      }
+      return collection.upsert({ ...document, workspaceId });
+    },
+
+    async delete(id, partitionKeyValue) {
+      if (!await this.read(id, partitionKeyValue)) {
+        throw notFound(`Document ${id} not found in ${collection.id}`);
+      }
+      return collection.delete(id, partitionKeyValue);
+    },
+
+    async find(options = {}) {
+      return collection.find({ ...options, filter: { ...options.filter, workspaceId } });
+    }
+  };
+}
+
+function isValidBlobName(name) {
+  const value = String(name);
+  return !value.startsWith('/') && !value.includes('\\') &&
+    !value.split('/').some(segment => segment === '.' || segment === '..');
+}
+
+function checkBlobName(name) {
+  if (!isValidBlobName(name)) {
+    const error = new Error(`Invalid blob name: ${name}`);
+    error.code = 400;
+    throw error;
+  }
+  return name;
+}
+
+function blobPrefix(workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE ? '' : `${BLOB_ROOT}${workspaceId}/`;
+}
+
+function scopeBlobs(blobs, workspaceId) {
+  const prefix = blobPrefix(workspaceId);
+
+  // The default workspace cannot reach into other workspaces' folders
+  const fullName = (name) => {
+    if (!prefix && String(name).startsWith(BLOB_ROOT)) {
+      throw notFound(`Blob ${name} not found`);
+    }
+    return `${prefix}${checkBlobName(name)}`;
+  };
+
+  return {
+    getUrl: (name) => blobs.getUrl(fullName(name)),
+
+    async upload(name, buffer, options) {
+      const blob = await blobs.upload(fullName(name), buffer, options);
+      return { ...blob, name };
+    },
+
+    download: async (name) => blobs.download(fullName(name)),
+    downloadStream: async (name) => blobs.downloadStream(fullName(name)),
+    getProperties: async (name) => blobs.getProperties(fullName(name)),
+    delete: async (name) => blobs.delete(fullName(name)),
+    deleteIfExists: async (name) => blobs.deleteIfExists(fullName(name)),
+
+    async exists(name) {
+      if (!isValidBlobName(name)) return false;
+      if (!prefix && String(name).startsWith(BLOB_ROOT)) return false;
+      return blobs.exists(fullName(name));
+    },
+
+    async *list({ prefix: listPrefix = '' } = {}) {
+      for await (const blob of blobs.list({ prefix: `${prefix}${listPrefix}` })) {
+        if (!prefix && blob.name.startsWith(BLOB_ROOT)) continue;
+        yield { ...blob, name: blob.name.slice(prefix.length) };
+      }
+    }
+  };
+}
+
+// Storage as seen from one workspace: { id, documents, blobs, blobName }.
+// blobName(name) is the full blob name of a workspace-relative name, for
+// records that store blob paths (knowledge items).
+function createWorkspaceStorage(backend, workspaceId) {
+  const documents = {};
+  for (const id of SCOPED_CONTAINERS) {
+    documents[id] = scopeCollection(backend.documents[id], workspaceId);
+  }
+
+  return {
+    id: workspaceId,
+    documents,
+    blobs: scopeBlobs(backend.blobs, workspaceId),
+    blobName: (name) => `${blobPrefix(workspaceId)}${checkBlobName(name)}`
+  };
+}
+
+// Stamp documents written before workspaces existed with the default
+// workspace. Runs at startup; only documents missing workspaceId are read
+// and rewritten.
+async function assignDefaultWorkspace(backend, containerDefinitions) {
+  let assigned = 0;
+
+  for (const id of SCOPED_CONTAINERS) {
+    const { partitionKey } = containerDefinitions.find(config => config.id === id);
+    const partitionKeyField = partitionKey.replace(/^\//, '');
+    const collection = backend.documents[id];
+
+    const summaries = await collection.find({ fields: ['id', partitionKeyField, 'workspaceId'] });
+    for (const summary of summaries.filter(summary => !summary.workspaceId)) {
+      const document = await collection.read(summary.id, summary[partitionKeyField]);
+      if (!document || document.workspaceId) continue;
+      await collection.replace(document.id, document[partitionKeyField], { ...document, workspaceId: DEFAULT_WORKSPACE });
+      assigned++;
+    }
+  }
+
+  if (assigned > 0) {
+    console.log(`🏷️ Assigned ${assigned} existing documents to the '${DEFAULT_WORKSPACE}' workspace`);
+  }
+  return assigned;
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  WORKSPACE_ID_PATTERN,
+  SCOPED_CONTAINERS,
+  isValidBlobName,
+  createWorkspaceStorage,
+  assignDefaultWorkspace
+};